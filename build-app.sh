@@ -70,6 +70,22 @@ else
     echo "=== No custom menu bar icons found ==="
 fi
 
+# Copy the Help Book if it exists, and index it for Help Viewer's search
+HELP_BOOK="$SCRIPT_DIR/HushType.help"
+if [ -d "$HELP_BOOK" ]; then
+    echo "=== Including Help Book ==="
+    ditto --norsrc "$HELP_BOOK" "$APP_BUNDLE/Contents/Resources/HushType.help"
+    for lproj in "$APP_BUNDLE/Contents/Resources/HushType.help/Contents/Resources"/*.lproj; do
+        if hiutil -I corespotlight -Caf "$lproj/HushType.cshelpindex" "$lproj" 2>/dev/null; then
+            echo "  Indexed: $(basename "$lproj")"
+        else
+            echo "  WARNING: hiutil could not index $(basename "$lproj"); Help Viewer search will be empty"
+        fi
+    done
+else
+    echo "=== No Help Book found (run 'node create-guide.js --format help' to make one) ==="
+fi
+
 # Copy bundled models if they exist
 if [ -d "$BUNDLED_MODELS" ] && [ "$(ls -A "$BUNDLED_MODELS" 2>/dev/null)" ]; then
     echo "=== Bundling models ==="
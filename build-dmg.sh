@@ -138,6 +138,17 @@ elif [ -f "$USER_GUIDE_DOCX" ]; then
     echo "  Included: HushType User Guide.docx (PDF not found)"
 fi
 
+# Include the one-page Quick Reference card next to it (PDF preferred, as above)
+QUICK_REFERENCE_PDF="$SCRIPT_DIR/HushType-Quick-Reference.pdf"
+QUICK_REFERENCE_DOCX="$SCRIPT_DIR/HushType-Quick-Reference.docx"
+if [ -f "$QUICK_REFERENCE_PDF" ]; then
+    cp "$QUICK_REFERENCE_PDF" "$DMG_STAGING/HushType Quick Reference.pdf"
+    echo "  Included: HushType Quick Reference.pdf"
+elif [ -f "$QUICK_REFERENCE_DOCX" ]; then
+    cp "$QUICK_REFERENCE_DOCX" "$DMG_STAGING/HushType Quick Reference.docx"
+    echo "  Included: HushType Quick Reference.docx (PDF not found)"
+fi
+
 # Include the MIT license (as .txt so it opens in TextEdit on double-click)
 LICENSE_FILE="$SCRIPT_DIR/LICENSE"
 if [ -f "$LICENSE_FILE" ]; then
@@ -190,12 +201,13 @@ fi
 
 # Use AppleScript to set icon positions, window size, background image,
 # and view mode so the user sees the classic "drag app to Applications" layout
-# with the User Guide visible below.
+# with the User Guide, Quick Reference and license visible below.
 #
 # Layout (660×440 window):
 #   - HushType.app at (140, 185) — left of centre
 #   - Applications at (520, 185) — right of centre
-#   - User Guide at (330, 345) — bottom centre
+#   - User Guide at (170, 345), Quick Reference at (330, 345) and
+#     LICENSE.txt at (490, 345) — along the bottom
 #   - Background image from .background/background.png
 osascript <<APPLESCRIPT
 tell application "Finder"
@@ -212,13 +224,19 @@ tell application "Finder"
         set position of item "$APP_NAME.app" of container window to {140, 185}
         set position of item "Applications" of container window to {520, 185}
         try
-            set position of item "HushType User Guide.pdf" of container window to {250, 345}
+            set position of item "HushType User Guide.pdf" of container window to {170, 345}
+        end try
+        try
+            set position of item "HushType User Guide.docx" of container window to {170, 345}
+        end try
+        try
+            set position of item "HushType Quick Reference.pdf" of container window to {330, 345}
         end try
         try
-            set position of item "HushType User Guide.docx" of container window to {250, 345}
+            set position of item "HushType Quick Reference.docx" of container window to {330, 345}
         end try
         try
-            set position of item "LICENSE.txt" of container window to {410, 345}
+            set position of item "LICENSE.txt" of container window to {490, 345}
         end try
         close
         open
@@ -232,6 +250,8 @@ APPLESCRIPT
 chflags nohidden "$MOUNT_DIR/$APP_NAME.app"
 [ -f "$MOUNT_DIR/HushType User Guide.pdf" ] && chflags nohidden "$MOUNT_DIR/HushType User Guide.pdf"
 [ -f "$MOUNT_DIR/HushType User Guide.docx" ] && chflags nohidden "$MOUNT_DIR/HushType User Guide.docx"
+[ -f "$MOUNT_DIR/HushType Quick Reference.pdf" ] && chflags nohidden "$MOUNT_DIR/HushType Quick Reference.pdf"
+[ -f "$MOUNT_DIR/HushType Quick Reference.docx" ] && chflags nohidden "$MOUNT_DIR/HushType Quick Reference.docx"
 [ -f "$MOUNT_DIR/LICENSE.txt" ] && chflags nohidden "$MOUNT_DIR/LICENSE.txt"
 
 # Wait for .DS_Store to be flushed to disk
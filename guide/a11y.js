@@ -0,0 +1,158 @@
+// guide/a11y.js — Accessibility checks for the guide and its theme
+//
+// `node create-guide.js --a11y-check` runs checkAccessibility() over one
+// edition (any --locale and --theme) and reports what would keep a reader
+// using a screen reader, or with low vision, from getting everything out of
+// it:
+//
+//   alt-text       A screenshot without a caption, or whose SCREENSHOT_MAP
+//                  entry has no description, or one that only repeats the
+//                  caption (the caption names the image; the description is
+//                  what a screen reader reads in its place)
+//   callout-label  A tip or warning box that starts with "Tip:" or "Warning:"
+//                  itself; the build adds the label, so it would read twice
+//   table-header   A table with an empty cell in its header row
+//   link-text      A link whose text doesn't say where it leads ("here")
+//   contrast       A text colour in the theme against a background it is
+//                  drawn on, below the WCAG 2 AA minimum: 4.5:1, or 3:1 for
+//                  large text (18pt, or 14pt bold)
+//
+// Problems in the theme are reported against the theme file, without a line.
+
+const { parseInline, mapInlineText } = require("./inline");
+
+const AA_NORMAL = 4.5;
+const AA_LARGE = 3;
+
+// Link text that only makes sense next to what's around it
+const VAGUE_LINK_TEXT = /^(here|click here|this|this link|link|more|read more)$/i;
+
+/** Relative luminance of a six-digit hex colour, as WCAG defines it. */
+function luminance(color) {
+  const [r, g, b] = [0, 2, 4].map((i) => {
+    const c = parseInt(color.slice(i, i + 2), 16) / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/** WCAG contrast ratio of two hex colours, from 1 to 21. */
+function contrastRatio(a, b) {
+  const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+/**
+ * The theme's text colours on the backgrounds the renderers draw them on,
+ * as { text, background, minimum } with each side { name, color }.
+ */
+function colorPairs(theme) {
+  const { colors, callouts } = theme;
+  const page = { name: "the page", color: "FFFFFF" };
+  const boxes = [
+    page,
+    { name: "tip boxes (callouts.tip.background)", color: callouts.tip.background },
+    { name: "warning boxes (callouts.warning.background)", color: callouts.warning.background },
+  ];
+  const pairs = [];
+  const add = (name, color, backgrounds, minimum = AA_NORMAL) => {
+    for (const background of backgrounds) pairs.push({ text: { name, color }, background, minimum });
+  };
+  // Body text, links and menu paths appear in paragraphs, boxes and table
+  // cells; header rows hold column titles
+  add("text (colors.text)", colors.text, [...boxes, { name: "table headers (colors.tableHeader)", color: colors.tableHeader }]);
+  add("links (colors.brand)", colors.brand, boxes);
+  add("menu paths (colors.dark)", colors.dark, boxes);
+  add("code (colors.text)", colors.text, [{ name: "code (colors.codeBackground)", color: colors.codeBackground }]);
+  add("keys (colors.text)", colors.text, [{ name: "keycaps (colors.keyBackground)", color: colors.keyBackground }]);
+  // Captions, the running header and footer and other small print
+  add("small print (colors.muted)", colors.muted, [page]);
+  theme.headings.forEach((h, i) => {
+    const large = h.size >= 18 || (h.size >= 14 && h.bold);
+    add(`level ${i + 1} headings (headings[${i}].color)`, h.color, [page], large ? AA_LARGE : AA_NORMAL);
+  });
+  return pairs;
+}
+
+/** Text as a reader hears it: inline markup resolved. */
+function plainText(text) {
+  return parseInline(text).map((run) => run.text).join("");
+}
+
+/**
+ * Check one edition of the guide and its theme.
+ *
+ * @param {object[]} blocks - Guide blocks after linkGuide(), each with its source line.
+ * @param {object} context
+ * @param {object} context.theme - From loadTheme().
+ * @param {{tip: string, warning: string}} context.labels - The callout labels the build adds.
+ * @param {function(string): ?{description: ?string}} context.screenshot - The SCREENSHOT_MAP entry
+ *   for an English caption, or null.
+ * @returns {{line: ?number, rule: string, message: string}[]} Problems in the guide in line order,
+ *   then problems in the theme (line null).
+ */
+function checkAccessibility(blocks, context) {
+  const problems = [];
+  const report = (line, rule, message) => problems.push({ line, rule, message });
+
+  // Screenshots, including those under procedure steps
+  const shots = [];
+  const fromSteps = (steps, line) => steps.forEach((step) => {
+    if (step.screenshot) shots.push({ ...step.screenshot, line });
+    fromSteps(step.steps, line);
+  });
+  for (const block of blocks) {
+    if (block.type === "screenshot") shots.push(block);
+    if (block.type === "steps") fromSteps(block.steps, block.line);
+  }
+  for (const shot of shots) {
+    const key = shot.source ?? shot.caption;
+    if (!shot.caption.trim()) {
+      report(shot.line, "alt-text", "screenshot has no caption");
+      continue;
+    }
+    // A caption without an entry is a placeholder, with no image to describe
+    const entry = context.screenshot(key);
+    if (!entry) continue;
+    if (!entry.description) {
+      report(shot.line, "alt-text", `screenshot "${key}" has no description in SCREENSHOT_MAP, so its alt text is only the caption`);
+    } else if (entry.description.trim().toLowerCase() === key.trim().toLowerCase()) {
+      report(shot.line, "alt-text", `screenshot "${key}" has a description that only repeats the caption`);
+    }
+  }
+
+  for (const block of blocks) {
+    // The build starts every box with its label in bold
+    if (block.type === "callout") {
+      const label = context.labels[block.kind];
+      const text = plainText(block.text).slice(label.length).trim();
+      if (text.toLowerCase().startsWith(label.toLowerCase())) {
+        report(block.line, "callout-label", `the ${block.kind} box starts with "${label}", which the build adds; leave it out of the text`);
+      }
+    }
+    if (block.type === "table") {
+      block.rows[0].forEach((cell, c) => {
+        if (!plainText(cell).trim()) report(block.line, "table-header", `column ${c + 1} of the table has no header`);
+      });
+    }
+    mapInlineText(block, (text) => {
+      for (const run of parseInline(text)) {
+        if ((run.href || run.ref) && VAGUE_LINK_TEXT.test(run.text.trim())) {
+          report(block.line, "link-text", `link text "${run.text.trim()}" doesn't say where the link leads`);
+        }
+      }
+      return text;
+    });
+  }
+  problems.sort((a, b) => a.line - b.line);
+
+  for (const { text, background, minimum } of colorPairs(context.theme)) {
+    const ratio = contrastRatio(text.color, background.color);
+    if (ratio < minimum) {
+      report(null, "contrast", `${text.name}, ${text.color}, on ${background.name}, ${background.color}, has a contrast of ${(Math.floor(ratio * 100) / 100).toFixed(2)}:1; it needs at least ${minimum}:1`);
+    }
+  }
+  return problems;
+}
+
+module.exports = { checkAccessibility };
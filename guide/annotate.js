@@ -0,0 +1,243 @@
+// guide/annotate.js — Markers, arrows and highlights drawn onto screenshots
+//
+// A SCREENSHOT_MAP entry in guide/build.js may list annotations to draw on
+// its image, so the text can say "(1)" and the reader finds the matching
+// marker:
+//
+//   { type: "marker", number: 1, x: 30, y: 97 }
+//   { type: "arrow", from: [300, 40], to: [220, 90] }
+//   { type: "highlight", x: 60, y: 210, width: 330, height: 90 }
+//
+// Coordinates are points measured from the screenshot's top-left corner (the
+// pixels of a standard-resolution capture), and so are sizes (marker radius,
+// line widths). All of them are scaled by the image's pixel density, so a
+// screenshot retaken on a Retina display, or as name@2x.png, keeps its
+// annotations in place and only needs its numbers checked if the window
+// itself changed.
+// Everything is drawn with anti-aliasing straight onto the decoded pixels.
+
+const { decodePng, encodePng } = require("./images");
+
+// Sizes in points
+const MARKER_RADIUS = 9;
+const MARKER_RING = 1.5;
+const LINE_WIDTH = 2.5;
+const ARROW_HEAD = 10;
+const HIGHLIGHT_RADIUS = 4;
+// Opacity of the tint inside a highlight
+const HIGHLIGHT_FILL = 0.12;
+
+// Digits as strokes in a 0.6 × 1 box (y down); numbers are a list of
+// polylines, and [cx, cy, rx, ry, from°, to°] is an elliptical arc.
+const DIGITS = {
+  0: [[0.3, 0.5, 0.3, 0.5, 0, 360]],
+  1: [[[0.12, 0.2], [0.36, 0], [0.36, 1]]],
+  2: [[0.3, 0.28, 0.29, 0.28, -170, 30], [[0.55, 0.42], [0, 1], [0.6, 1]]],
+  3: [[[0.02, 0], [0.58, 0], [0.26, 0.4]], [0.3, 0.69, 0.3, 0.31, -100, 150]],
+  4: [[[0.46, 1], [0.46, 0], [0, 0.7], [0.6, 0.7]]],
+  5: [[[0.56, 0], [0.1, 0], [0.05, 0.46], [0.13, 0.42]], [0.3, 0.68, 0.3, 0.32, -125, 150]],
+  6: [[[0.5, 0], [0.04, 0.6]], [0.3, 0.68, 0.28, 0.32, 0, 360]],
+  7: [[[0, 0], [0.6, 0], [0.18, 1]]],
+  8: [[0.3, 0.25, 0.25, 0.25, 0, 360], [0.3, 0.72, 0.3, 0.28, 0, 360]],
+  9: [[0.3, 0.32, 0.28, 0.32, 0, 360], [[0.56, 0.4], [0.1, 1]]],
+};
+const DIGIT_WIDTH = 0.6;
+const DIGIT_GAP = 0.25;
+const DIGIT_STROKE = 0.15;
+
+/** A stroke's points: a polyline as given, or an arc traced in 10° steps. */
+function strokePoints(stroke) {
+  if (Array.isArray(stroke[0])) return stroke;
+  const [cx, cy, rx, ry, from, to] = stroke;
+  const points = [];
+  for (let a = from; a <= to; a += 10) {
+    const rad = (a * Math.PI) / 180;
+    points.push([cx + rx * Math.cos(rad), cy + ry * Math.sin(rad)]);
+  }
+  return points;
+}
+
+/** Distance from (px, py) to the segment (ax, ay)–(bx, by). */
+function segmentDistance(px, py, [ax, ay], [bx, by]) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const t = Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / (dx * dx + dy * dy || 1)));
+  return Math.hypot(px - ax - t * dx, py - ay - t * dy);
+}
+
+/** The line segments of a number's digits, laid out side by side and centred on (cx, cy) at `height` pixels tall. */
+function numberSegments(number, cx, cy, height) {
+  const digits = String(number).split("");
+  const width = (digits.length * DIGIT_WIDTH + (digits.length - 1) * DIGIT_GAP) * height;
+  const segments = [];
+  digits.forEach((digit, n) => {
+    const left = cx - width / 2 + n * (DIGIT_WIDTH + DIGIT_GAP) * height;
+    for (const stroke of DIGITS[digit]) {
+      const points = strokePoints(stroke).map(([x, y]) => [left + x * height, cy - height / 2 + y * height]);
+      for (let i = 1; i < points.length; i++) segments.push([points[i - 1], points[i]]);
+    }
+  });
+  return segments;
+}
+
+/**
+ * A canvas over decoded RGBA pixels. paint() fills every pixel where the
+ * shape's signed distance (negative inside) is below zero, blending the half
+ * pixel along the edge for anti-aliasing.
+ */
+function canvas({ width, height, pixels }) {
+  return {
+    paint([r, g, b], opacity, box, distance) {
+      const x0 = Math.max(0, Math.floor(box[0]));
+      const y0 = Math.max(0, Math.floor(box[1]));
+      const x1 = Math.min(width, Math.ceil(box[2]));
+      const y1 = Math.min(height, Math.ceil(box[3]));
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const coverage = Math.max(0, Math.min(1, 0.5 - distance(x + 0.5, y + 0.5)));
+          if (!coverage) continue;
+          // Source-over compositing; screenshots may be transparent round the edges
+          const alpha = coverage * opacity;
+          const at = (y * width + x) * 4;
+          const below = (pixels[at + 3] / 255) * (1 - alpha);
+          const out = alpha + below;
+          pixels[at] = Math.round((r * alpha + pixels[at] * below) / out);
+          pixels[at + 1] = Math.round((g * alpha + pixels[at + 1] * below) / out);
+          pixels[at + 2] = Math.round((b * alpha + pixels[at + 2] * below) / out);
+          pixels[at + 3] = Math.round(out * 255);
+        }
+      }
+    },
+  };
+}
+
+/** "E5483D" → [229, 72, 61]. */
+function rgb(hex) {
+  return [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16));
+}
+
+const WHITE = [255, 255, 255];
+
+/** Draw a numbered marker: a filled circle with a white ring and white digits. */
+function drawMarker(c, color, { number, x, y }, scale) {
+  const radius = MARKER_RADIUS * scale;
+  const ring = MARKER_RING * scale;
+  const box = [x - radius - ring, y - radius - ring, x + radius + ring, y + radius + ring];
+  c.paint(WHITE, 1, box, (px, py) => Math.hypot(px - x, py - y) - radius - ring);
+  c.paint(color, 1, box, (px, py) => Math.hypot(px - x, py - y) - radius);
+  const height = radius * (String(number).length > 1 ? 0.8 : 0.95);
+  const half = (DIGIT_STROKE * height) / 2;
+  const segments = numberSegments(number, x, y, height);
+  c.paint(WHITE, 1, box, (px, py) => Math.min(...segments.map(([a, b]) => segmentDistance(px, py, a, b))) - half);
+}
+
+/** Draw an arrow from `from` to `to`, with its head at `to`. */
+function drawArrow(c, color, { from, to }, scale) {
+  const [fx, fy] = from;
+  const [tx, ty] = to;
+  const length = Math.hypot(tx - fx, ty - fy);
+  const head = Math.min(ARROW_HEAD * scale, length);
+  const ux = (tx - fx) / length;
+  const uy = (ty - fy) / length;
+  // The shaft stops inside the head so its round end doesn't poke through the point
+  const base = [tx - ux * head, ty - uy * head];
+  const shaftEnd = [tx - ux * head * 0.6, ty - uy * head * 0.6];
+  const half = (LINE_WIDTH * scale) / 2;
+  const pad = head + half;
+  const box = [Math.min(fx, tx) - pad, Math.min(fy, ty) - pad, Math.max(fx, tx) + pad, Math.max(fy, ty) + pad];
+  c.paint(color, 1, box, (px, py) => segmentDistance(px, py, from, shaftEnd) - half);
+
+  // The head is a triangle; its distance is the furthest of its three edges
+  const wing = head * 0.5;
+  const corners = [[tx, ty], [base[0] - uy * wing, base[1] + ux * wing], [base[0] + uy * wing, base[1] - ux * wing]];
+  const edges = corners.map((p, i) => {
+    const q = corners[(i + 1) % 3];
+    const nx = q[1] - p[1];
+    const ny = p[0] - q[0];
+    const norm = Math.hypot(nx, ny);
+    return { p, nx: nx / norm, ny: ny / norm };
+  });
+  // Orient every edge normal outwards
+  const [cx, cy] = [(corners[0][0] + corners[1][0] + corners[2][0]) / 3, (corners[0][1] + corners[1][1] + corners[2][1]) / 3];
+  for (const e of edges) {
+    if ((cx - e.p[0]) * e.nx + (cy - e.p[1]) * e.ny > 0) {
+      e.nx = -e.nx;
+      e.ny = -e.ny;
+    }
+  }
+  c.paint(color, 1, box, (px, py) => Math.max(...edges.map((e) => (px - e.p[0]) * e.nx + (py - e.p[1]) * e.ny)));
+}
+
+/** Draw a highlight: a rounded rectangle outline with a light tint inside. */
+function drawHighlight(c, color, { x, y, width, height }, scale) {
+  const half = (LINE_WIDTH * scale) / 2;
+  const radius = HIGHLIGHT_RADIUS * scale;
+  const cx = x + width / 2;
+  const cy = y + height / 2;
+  // Signed distance to a rounded rectangle
+  const inside = (px, py) => {
+    const qx = Math.abs(px - cx) - width / 2 + radius;
+    const qy = Math.abs(py - cy) - height / 2 + radius;
+    return Math.hypot(Math.max(qx, 0), Math.max(qy, 0)) + Math.min(Math.max(qx, qy), 0) - radius;
+  };
+  const box = [x - half - 1, y - half - 1, x + width + half + 1, y + height + half + 1];
+  c.paint(color, HIGHLIGHT_FILL, box, (px, py) => inside(px, py) + half);
+  c.paint(color, 1, box, (px, py) => Math.abs(inside(px, py)) - half);
+}
+
+const DRAW = { marker: drawMarker, arrow: drawArrow, highlight: drawHighlight };
+
+// An annotation with its coordinates turned from points into pixels
+const IN_PIXELS = {
+  marker: (a, scale) => ({ ...a, x: a.x * scale, y: a.y * scale }),
+  arrow: (a, scale) => ({ ...a, from: a.from.map((v) => v * scale), to: a.to.map((v) => v * scale) }),
+  highlight: (a, scale) => ({ ...a, x: a.x * scale, y: a.y * scale, width: a.width * scale, height: a.height * scale }),
+};
+
+/** Check one annotation against the image's size in points, throwing with `where` in the message. */
+function checkAnnotation(a, size, where) {
+  const point = (p) => Array.isArray(p) && p.length === 2 && p.every(Number.isFinite);
+  const within = (x, y) => x >= 0 && y >= 0 && x <= size.width && y <= size.height;
+  if (!DRAW[a?.type]) throw new Error(`${where}: type should be one of ${Object.keys(DRAW).join(", ")}`);
+  if (a.type === "marker") {
+    if (!Number.isInteger(a.number) || a.number < 0) throw new Error(`${where}: a marker needs a whole number`);
+    if (!within(a.x, a.y)) throw new Error(`${where}: marker ${a.number} at ${a.x},${a.y} is outside the ${size.width}×${size.height}-point image`);
+  }
+  if (a.type === "arrow") {
+    if (!point(a.from) || !point(a.to)) throw new Error(`${where}: an arrow needs from: [x, y] and to: [x, y]`);
+    if (!within(...a.from) || !within(...a.to)) throw new Error(`${where}: arrow is outside the ${size.width}×${size.height}-point image`);
+    if (a.from[0] === a.to[0] && a.from[1] === a.to[1]) throw new Error(`${where}: arrow starts and ends at the same point`);
+  }
+  if (a.type === "highlight") {
+    if (![a.x, a.y, a.width, a.height].every(Number.isFinite) || a.width <= 0 || a.height <= 0) {
+      throw new Error(`${where}: a highlight needs x, y, width and height`);
+    }
+    if (!within(a.x, a.y) || !within(a.x + a.width, a.y + a.height)) {
+      throw new Error(`${where}: highlight is outside the ${size.width}×${size.height}-point image`);
+    }
+  }
+}
+
+/**
+ * Draw annotations onto a PNG.
+ *
+ * @param {Buffer} data - The PNG file.
+ * @param {object[]} annotations - Markers, arrows and highlights, in points (see above).
+ * @param {{color: string, scale: number, file: string}} options - Hex colour
+ *   to draw in, pixels per point, and the file name for error messages.
+ * @returns {Buffer} The annotated PNG.
+ */
+function annotatePng(data, annotations, { color, scale, file }) {
+  const image = decodePng(data, file);
+  const size = { width: image.width / scale, height: image.height / scale };
+  annotations.forEach((a, i) => checkAnnotation(a, size, `${file}: annotation ${i + 1}`));
+  const c = canvas(image);
+  // Highlights go underneath arrows, and markers on top of both
+  const order = ["highlight", "arrow", "marker"];
+  for (const a of [...annotations].sort((p, q) => order.indexOf(p.type) - order.indexOf(q.type))) {
+    DRAW[a.type](c, rgb(color), IN_PIXELS[a.type](a, scale), scale);
+  }
+  return encodePng(image);
+}
+
+module.exports = { annotatePng };
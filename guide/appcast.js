@@ -0,0 +1,159 @@
+// guide/appcast.js — Release History chapter from the Sparkle appcast
+//
+// docs/appcast.xml already records every release. This module reads it and
+// builds the guide's Release History chapter, taking each version's notes
+// from a sidecar file (docs/release-notes/<version>.md, written in the same
+// Markdown dialect as the guide) or, failing that, the item's <description>.
+// A description is plain text to the guide: only <b> and <strong> become
+// bold, and anything that looks like the guide's inline markup stays literal.
+
+const fs = require("fs");
+const path = require("path");
+const { formatMessage } = require("./i18n");
+const { escapeInline } = require("./inline");
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+/** Decode the handful of XML/HTML entities appcasts use. */
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+/** Text content of the first <tag> in `xml`, unwrapping CDATA, or null. */
+function tagText(xml, tag) {
+  const m = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`).exec(xml);
+  if (!m) return null;
+  const cdata = /^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/.exec(m[1]);
+  return cdata ? cdata[1] : decodeEntities(m[1]).trim();
+}
+
+/** Compare dotted version strings numerically: negative, zero or positive. */
+function compareVersions(a, b) {
+  const pa = a.split(".").map(Number);
+  const pb = b.split(".").map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Parse appcast XML into releases, newest first.
+ * pubDate keeps the calendar date as written (not shifted to UTC).
+ *
+ * @returns {{version: string, build: string, date: ?Date, minimumSystemVersion: ?string, description: ?string}[]}
+ */
+function parseAppcast(xml) {
+  const releases = [];
+  for (const m of xml.matchAll(/<item>([\s\S]*?)<\/item>/g)) {
+    const item = m[1];
+    const version = tagText(item, "sparkle:shortVersionString") ?? tagText(item, "title");
+    if (!version) continue;
+    const written = /(\d{1,2})\s+(\w{3})\s+(\d{4})/.exec(tagText(item, "pubDate") ?? "");
+    releases.push({
+      version,
+      build: tagText(item, "sparkle:version") ?? "",
+      date: written ? new Date(Date.UTC(+written[3], MONTHS.indexOf(written[2]), +written[1])) : null,
+      minimumSystemVersion: tagText(item, "sparkle:minimumSystemVersion"),
+      description: tagText(item, "description"),
+    });
+  }
+  return releases.sort((a, b) => compareVersions(b.version, a.version));
+}
+
+/** Turn a release-notes HTML fragment into guide paragraph and list blocks. */
+function htmlToBlocks(html) {
+  const blocks = [];
+  // Bold tags become ** around text that is escaped, so "*" or "[[" in the notes prints as written
+  const text = (fragment) => fragment
+    .replace(/\s+/g, " ")
+    .split(/<\/?(?:b|strong)>/i)
+    .map((part) => escapeInline(decodeEntities(part.replace(/<[^>]+>/g, ""))))
+    .join("**")
+    .trim();
+
+  for (const m of html.matchAll(/<(ul|ol)[^>]*>([\s\S]*?)<\/\1>|<(p|h\d)[^>]*>([\s\S]*?)<\/\3>/gi)) {
+    if (m[1]) {
+      const items = [...m[2].matchAll(/<li[^>]*>([\s\S]*?)<\/li>/gi)].map((li) => text(li[1])).filter(Boolean);
+      if (items.length) blocks.push({ type: "list", items });
+    } else if (text(m[4])) {
+      blocks.push({ type: "paragraph", text: text(m[4]) });
+    }
+  }
+  // Plain-text descriptions have no markup at all
+  if (blocks.length === 0 && text(html)) blocks.push({ type: "paragraph", text: text(html) });
+  return blocks;
+}
+
+/**
+ * Load the releases to document.
+ *
+ * When `current.version` is newer than anything in the appcast (release.sh
+ * builds the guide before generate_appcast adds the new entry), it is listed
+ * first so the chapter always starts with the version on the title page.
+ *
+ * @param {string} appcastFile
+ * @param {{version: string, build: string, date: Date, minimumSystemVersion: string}} current
+ * @returns {{releases: object[], warnings: string[], newerRelease: ?string}} `newerRelease` is the
+ *   newest appcast version when it is newer than `current.version` (the guide is out of date), else null.
+ */
+function loadReleases(appcastFile, current) {
+  const releases = parseAppcast(fs.readFileSync(appcastFile, "utf8"));
+  const warnings = [];
+  const newest = releases[0];
+  let newerRelease = null;
+  if (!newest || compareVersions(current.version, newest.version) > 0) {
+    releases.unshift({ ...current, description: null });
+  } else if (compareVersions(current.version, newest.version) < 0) {
+    newerRelease = newest.version;
+    warnings.push(`Guide version ${current.version} is older than the newest appcast release (${newest.version})`);
+  }
+  return { releases, warnings, newerRelease };
+}
+
+/**
+ * Build the Release History blocks: one heading per version, a details line
+ * and its notes.
+ *
+ * @param {object[]} releases - From loadReleases().
+ * @param {object} options
+ * @param {string} options.notesDir - Directory of <version>.md sidecar files.
+ * @param {function(string, string): object[]} options.parseNotes - Parses a notes file (source, file).
+ * @param {function(Date): string} options.formatDate
+ * @param {function(string, object): string} [options.t] - Translates a message and fills in its {parameters}.
+ */
+function releaseHistory(releases, options) {
+  const t = options.t ?? formatMessage;
+  const blocks = [];
+  for (const release of releases) {
+    blocks.push({ type: "heading", level: 2, text: t("Version {version}", { version: release.version }) });
+
+    const details = [];
+    if (release.date) details.push(t("Released {date}", { date: options.formatDate(release.date) }));
+    if (release.build) details.push(t("build {build}", { build: release.build }));
+    if (release.minimumSystemVersion) {
+      details.push(t("requires macOS {version} or later", { version: release.minimumSystemVersion }));
+    }
+    if (details.length) blocks.push({ type: "paragraph", text: `${details.join(", ")}.`, italics: true });
+
+    const notesFile = path.join(options.notesDir, `${release.version}.md`);
+    if (fs.existsSync(notesFile)) {
+      blocks.push(...options.parseNotes(fs.readFileSync(notesFile, "utf8"), notesFile));
+    } else if (release.description) {
+      blocks.push(...htmlToBlocks(release.description));
+    } else {
+      blocks.push({ type: "paragraph", text: t("No release notes were recorded for this version.") });
+    }
+  }
+  return blocks;
+}
+
+module.exports = { loadReleases, releaseHistory };
@@ -0,0 +1,823 @@
+// guide/build.js — Build the user guide without writing any files
+//
+// buildGuide() loads guide/user-guide.md for one edition, fills in what the
+// app's sources, the appcast and the release notes define, and returns the
+// guide's blocks with functions that render them as Word, PDF, HTML or EPUB.
+// create-guide.js is the command-line front end; other tools can require this
+// module to build the guide, or a variant of it, in memory:
+//
+//   const { buildGuide } = require("./guide/build");
+//   const guide = buildGuide({ locale: "de", sections: [itDeployment] });
+//   fs.writeFileSync("HushType-IT-Guide.docx", await guide.docx());
+//
+// Section plugins add chapters without editing the guide source. Each is
+//
+//   {
+//     name: "it-deployment",
+//     after: "Troubleshooting",   // English title of the chapter it follows (default: the last)
+//     blocks: ({ parseGuide, t, locale, version }) => parseGuide(fs.readFileSync(file, "utf8"), file),
+//   }
+//
+// and returns blocks in the form parseGuide() produces, so the contents,
+// cross-references and every format include them. guide.quickReference
+// renders the one-page card from the blocks tagged <!-- quick-reference -->,
+// plugin blocks included. guide.kit() hands out the Word building blocks
+// (see guide/docx.js) with the edition's styles, for documents laid out
+// differently from the guide, and guide.changes() compares it with an
+// earlier build of its Word document (see guide/diff.js). helpBook() puts
+// editions together as the app's Apple Help Book.
+
+const fs = require("fs");
+const path = require("path");
+const { renderDocx, docxKit } = require("./docx");
+const { renderPdf, pdfFontProblems } = require("./pdf");
+const { renderHtml } = require("./html");
+const { renderHelpPages, helpInfoPlist } = require("./helpbook");
+const { renderEpub } = require("./epub");
+const { mapInlineText } = require("./inline");
+const { linkGuide } = require("./links");
+const { loadCatalog, translate, formatMessage, translateGuide, translateTables } = require("./i18n");
+const { loadTheme } = require("./theme");
+const { readImage, findImage, fitImage, listImages, baseName } = require("./images");
+const { annotatePng } = require("./annotate");
+const { lintGuide } = require("./lint");
+const { checkAccessibility } = require("./a11y");
+const { loadSettings, settingsTable, settingsValues, checkSettingsProse } = require("./settings");
+const { loadModels, modelTable, languageTable, modelValues } = require("./models");
+const { loadReleases, releaseHistory } = require("./appcast");
+const { loadPermissions, permissionsTable } = require("./permissions");
+const { loadGlossary, glossaryBlocks, linkTerms } = require("./glossary");
+const { readGuideDocx, diffGuides, redlineDocx } = require("./diff");
+
+const ROOT = path.join(__dirname, "..");
+const INFO_PLIST = path.join(ROOT, "Sources", "HushType", "Resources", "Info.plist");
+const LOCALES_DIR = path.join(__dirname, "locales");
+const THEMES_DIR = path.join(__dirname, "themes");
+const CONTENT_FILE = path.join(__dirname, "user-guide.md");
+const GLOSSARY_FILE = path.join(__dirname, "glossary.json");
+const SCREENSHOTS_DIR = path.join(ROOT, "docs", "screenshots");
+const SOURCES_DIR = path.join(ROOT, "Sources", "HushType");
+const APPCAST_FILE = path.join(ROOT, "docs", "appcast.xml");
+const RELEASE_NOTES_DIR = path.join(ROOT, "docs", "release-notes");
+
+// Map each placeholder caption to its screenshot: the file, a description of
+// what it shows for readers who can't see it (the caption is only a title;
+// the description becomes the image's alt text, and is translated like the
+// rest of the guide), and optionally annotations, numbered markers, arrows or
+// highlights drawn on it (see guide/annotate.js; coordinates are points,
+// the pixels of a standard-resolution capture).
+const SCREENSHOT_MAP = {
+  "DMG window showing drag-to-install layout": {
+    file: "dmg-install.png",
+    description: "The HushType disk image window. The HushType app icon is on the left and the Applications folder on the right, with an arrow from the app to the folder under the words “Drag to Applications to install”. The file HushType User Guide.pdf is below them.",
+  },
+  "Menu bar showing HushType icon": {
+    file: "menubar-icon.png",
+    description: "The right end of the macOS menu bar. The HushType icon, a microphone with a finger raised in front of it, is circled in red, to the left of the Spotlight and Control Center icons and the clock.",
+  },
+  "HushType permissions window showing permission status": {
+    file: "permission-window.png",
+    description: "The System Permissions window, headed “HushType needs additional permissions”. It lists Microphone and Accessibility, each with an Enable button, and App Management with a Setup… button. Below the list it reads “0 of 2 Required”, next to a Done button.",
+  },
+  "macOS microphone permission dialog": {
+    file: "permission-microphone.png",
+    description: "The macOS dialog “HushType would like to access the Microphone.”, explaining that HushType needs microphone access to transcribe your speech into text, with the buttons Don’t Allow and Allow.",
+  },
+  "System Settings → Privacy & Security → Accessibility with HushType enabled": {
+    file: "permission-accessibility.png",
+    description: "Two windows side by side. On the left, System Settings shows Privacy & Security → Accessibility, with the switch next to HushType turned on. On the right, the HushType permissions window shows Microphone and Accessibility as “Enabled!” with green checkmarks, and reads “2 of 2 Required”.",
+  },
+  "HushType menu bar dropdown": {
+    file: "menubar-dropdown.png",
+    description: "The HushType menu open below its menu bar icon, numbered 1 to 6: Hold Fn to Dictate, Model: small.en (greyed out), Settings…, Check for Updates…, About HushType… and Quit HushType.",
+    // One marker per menu item, matching the numbered descriptions under the screenshot
+    annotations: [48.5, 83, 118.5, 142.5, 177, 212.5].map((y, n) => ({ type: "marker", number: n + 1, x: 15, y })),
+  },
+  "HushType Settings panel": {
+    file: "settings-panel.png",
+    description: "The HushType Settings window, in sections from top to bottom: General (Start HushType at login, off), Activation (Trigger key: Fn), Whisper Model (Current: small.en, with Show all models off), Language (English), Text Injection (Method: Clipboard paste), Audio Input (Input device: System Default) and Display (Show recording overlay, on).",
+  },
+};
+
+// Images in docs/screenshots/ used elsewhere (README.md), not by the guide
+const EXTRA_IMAGES = ["app-icon.png"];
+
+// The Help Book's title in English, which each edition translates
+const HELP_BOOK_TITLE = "HushType Help";
+
+const NUMBER_WORDS = [
+  "zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine", "ten",
+  "eleven", "twelve", "thirteen", "fourteen", "fifteen", "sixteen", "seventeen", "eighteen", "nineteen", "twenty",
+];
+
+/** Read a string value from the app's Info.plist. */
+function plistString(key) {
+  const plist = fs.readFileSync(INFO_PLIST, "utf8");
+  const m = plist.match(new RegExp(`<key>${key}</key>\\s*<string>([^<]+)</string>`));
+  if (!m) throw new Error(`${key} not found in ${INFO_PLIST}`);
+  return m[1].trim();
+}
+
+/** The build number of `version`: the app's when it is the app's version, otherwise the version without dots (as release.sh sets it). */
+function buildNumber(version) {
+  return version === plistString("CFBundleShortVersionString") ? plistString("CFBundleVersion") : version.replace(/\./g, "");
+}
+
+/** Format a date the way the guide prints it, e.g. "9 February 2026" (English) or "9. Februar 2026" (de). */
+function formatDate(date, locale = "en") {
+  return date.toLocaleDateString(locale === "en" ? "en-GB" : locale, { day: "numeric", month: "long", year: "numeric", timeZone: "UTC" });
+}
+
+/** A path as shown in messages: relative to the repository when it's inside it. */
+function shortPath(file) {
+  const relative = path.relative(ROOT, file);
+  return relative.startsWith("..") ? file : relative;
+}
+
+// ---------------------------------------------------------------------------
+// Guide source parsing
+// ---------------------------------------------------------------------------
+
+const CALLOUT_TYPES = { TIP: "tip", WARNING: "warning" };
+const TABLE_DELIMITER = /^\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?$/;
+const STEP = /^\d+[.)]\s+(.+)$/;
+const INDENTED = /^(\t| {2,})\S/;
+
+/** Split a "| a | b |" table row into trimmed cell strings. */
+function tableCells(line) {
+  return line.trim().replace(/^\|/, "").replace(/\|$/, "").split("|").map((cell) => cell.trim());
+}
+
+/**
+ * Parse the guide source (see guide/user-guide.md) into a flat list of blocks:
+ *   { type: "heading", level, text }     { type: "paragraph", text }
+ *   { type: "list", items }              { type: "callout", kind, text }
+ *   { type: "steps", steps }             (a numbered procedure)
+ *   { type: "screenshot", caption }      { type: "table", rows, widths }
+ *   { type: "generated", name }          ({{name}} on a line of its own)
+ * Every block also records the source line it starts on, and blocks tagged
+ * with <!-- quick-reference --> have `quickReference: true`. Each step is
+ * { text, steps, screenshot }: its sub-steps and an optional { caption }.
+ */
+function parseGuide(source, file = CONTENT_FILE) {
+  const lines = source.split(/\r?\n/);
+  const blocks = [];
+  let paragraph = null;
+  let widths = null;
+  let quickReference = false;
+  let i = 0;
+
+  const fail = (lineNo, message) => {
+    throw new Error(`${shortPath(file)}:${lineNo}: ${message}`);
+  };
+  const add = (block) => {
+    blocks.push(quickReference ? { ...block, quickReference: true } : block);
+    quickReference = false;
+  };
+  const flush = () => {
+    if (paragraph) add(paragraph);
+    paragraph = null;
+  };
+
+  while (i < lines.length) {
+    const lineNo = i + 1;
+    const line = lines[i].trim();
+    let m;
+
+    if (line === "") {
+      flush();
+      i++;
+    } else if (line.startsWith("<!--")) {
+      // Comments are skipped, except "widths:" hints for the next table and
+      // "quick-reference" tags for the next block
+      flush();
+      let comment = line;
+      while (!comment.includes("-->")) {
+        if (++i >= lines.length) fail(lineNo, "unterminated comment");
+        comment += "\n" + lines[i];
+      }
+      m = comment.match(/^<!--\s*widths:\s*([\d.\s]+?)\s*-->$/);
+      if (m) widths = m[1].split(/\s+/).map(Number);
+      if (/^<!--\s*quick-reference\s*-->$/.test(comment)) quickReference = true;
+      i++;
+    } else if ((m = line.match(/^(#{1,3})\s+(.+)$/))) {
+      flush();
+      add({ type: "heading", level: m[1].length, text: m[2], line: lineNo });
+      i++;
+    } else if ((m = line.match(/^\{\{\s*([\w.-]+)\s*\}\}$/))) {
+      flush();
+      add({ type: "generated", name: m[1], line: lineNo });
+      i++;
+    } else if ((m = line.match(/^!\[(.+)\]$/))) {
+      flush();
+      add({ type: "screenshot", caption: m[1], line: lineNo });
+      i++;
+    } else if ((m = line.match(/^>\s*\[!(\w+)\]$/))) {
+      flush();
+      const kind = CALLOUT_TYPES[m[1].toUpperCase()];
+      if (!kind) fail(lineNo, `unknown callout type "${m[1]}"`);
+      const text = [];
+      while (++i < lines.length && lines[i].trim().startsWith(">")) {
+        text.push(lines[i].trim().replace(/^>\s?/, ""));
+      }
+      if (text.length === 0) fail(lineNo, "empty callout");
+      add({ type: "callout", kind, text: text.join(" "), line: lineNo });
+    } else if (STEP.test(line)) {
+      // Numbered steps; indented lines below a step add sub-steps, a
+      // screenshot or more text. Blank lines between steps are allowed.
+      flush();
+      const steps = [];
+      let step = null;
+      while (i < lines.length) {
+        const raw = lines[i];
+        const text = raw.trim();
+        const indented = INDENTED.test(raw);
+        if (text === "") {
+          const next = lines.slice(i + 1).find((l) => l.trim() !== "");
+          if (next === undefined || !(STEP.test(next) || INDENTED.test(next))) break;
+        } else if ((m = text.match(STEP))) {
+          step = { text: m[1], steps: [], screenshot: null, line: i + 1 };
+          (indented ? steps[steps.length - 1].steps : steps).push(step);
+        } else if (indented && (m = text.match(/^!\[(.+)\]$/))) {
+          if (step.screenshot) fail(i + 1, "a step can only have one screenshot");
+          step.screenshot = { caption: m[1] };
+        } else if (indented) {
+          step.text += " " + text;
+        } else {
+          break;
+        }
+        i++;
+      }
+      add({ type: "steps", steps, line: lineNo });
+    } else if (line.startsWith("- ")) {
+      flush();
+      const items = [];
+      while (i < lines.length && lines[i].trim().startsWith("- ")) {
+        items.push(lines[i].trim().slice(2).trim());
+        i++;
+      }
+      add({ type: "list", items, line: lineNo });
+    } else if (line.startsWith("|")) {
+      flush();
+      const rows = [];
+      while (i < lines.length && lines[i].trim().startsWith("|")) {
+        if (!TABLE_DELIMITER.test(lines[i].trim())) rows.push(tableCells(lines[i]));
+        i++;
+      }
+      if (rows.some((row) => row.length !== rows[0].length)) fail(lineNo, "table rows have different cell counts");
+      add({ type: "table", rows, widths, line: lineNo });
+      widths = null;
+    } else {
+      if (paragraph) paragraph.text += " " + line;
+      else paragraph = { type: "paragraph", text: line, line: lineNo };
+      i++;
+    }
+  }
+  flush();
+  return blocks;
+}
+
+// ---------------------------------------------------------------------------
+// Generated content and section plugins
+// ---------------------------------------------------------------------------
+
+/**
+ * Replace {{name}} placeholders in block text with `generated.values` (through
+ * `generated.filters` for {{name | filter}}), and "generated" blocks with the
+ * blocks from `generated.blocks`, which keep the placeholder's quick reference
+ * tag. Unknown names stop the build, since they would otherwise print verbatim.
+ */
+function expandGuide(blocks, generated, file = CONTENT_FILE) {
+  const where = (block) => `${shortPath(file)}:${block.line}`;
+  const fill = (text, block) => text.replace(/\{\{\s*([\w.]+)\s*(?:\|\s*(\w+)\s*)?\}\}/g, (match, name, filter) => {
+    if (!(name in generated.values)) throw new Error(`${where(block)}: unknown placeholder "${name}"`);
+    if (filter && !generated.filters[filter]) throw new Error(`${where(block)}: unknown filter "${filter}"`);
+    const value = generated.values[name];
+    if (filter) return generated.filters[filter](value);
+    return Array.isArray(value) ? value.join(", ") : String(value);
+  });
+
+  const expanded = [];
+  for (const block of blocks) {
+    if (block.type === "generated") {
+      if (!generated.blocks[block.name]) throw new Error(`${where(block)}: unknown generated block "${block.name}"`);
+      const tag = block.quickReference ? { quickReference: true } : {};
+      expanded.push(...generated.blocks[block.name]().map((b) => ({ ...b, line: block.line, generated: block.name, ...tag })));
+      continue;
+    }
+    const copy = mapInlineText(block, (text) => fill(text, block));
+    if (copy.caption !== undefined) copy.caption = fill(copy.caption, block);
+    expanded.push(copy);
+  }
+  return expanded;
+}
+
+/** Add each plugin's chapter after the chapter it names, or at the end. Plugin blocks record their `section`. */
+function addSections(blocks, sections, context) {
+  let result = blocks;
+  for (const section of sections) {
+    if (!section.name || typeof section.blocks !== "function") {
+      throw new Error("a section plugin needs a name and a blocks() function");
+    }
+    const added = section.blocks(context).map((b) => ({ ...b, section: section.name }));
+    let at = result.length;
+    if (section.after !== undefined) {
+      const chapter = result.findIndex((b) => b.type === "heading" && b.level === 1 && (b.source ?? b.text) === section.after);
+      if (chapter === -1) throw new Error(`section "${section.name}": there is no chapter "${section.after}" to follow`);
+      const next = result.findIndex((b, i) => i > chapter && b.type === "heading" && b.level === 1);
+      if (next !== -1) at = next;
+    }
+    result = [...result.slice(0, at), ...added, ...result.slice(at)];
+  }
+  return result;
+}
+
+/**
+ * Start each tip and warning with its label in bold ("Tip:", "Warning:" in
+ * `labels`), so a box doesn't say what it is by its colour alone.
+ */
+function labelCallouts(blocks, labels) {
+  return blocks.map((block) => (block.type === "callout" ? { ...block, text: `**${labels[block.kind]}** ${block.text}` } : block));
+}
+
+/**
+ * The blocks on the quick reference card: those tagged for it (a tagged
+ * heading brings its whole section) under the headings they sit in, without
+ * screenshots. References to sections that aren't on the card become plain
+ * titles, and index terms lose their link to the glossary unless it is there too.
+ */
+function quickReferenceBlocks(blocks) {
+  const card = [];
+  const open = [];       // the headings above the current block, by level
+  let section = 0;       // level of the tagged heading whose section this is, or 0
+  for (const block of blocks) {
+    if (block.type === "heading") {
+      if (block.level <= section) section = 0;
+      if (block.quickReference && !section) section = block.level;
+      open.length = block.level - 1;
+      open.push(block);
+    }
+    if (!(section || block.quickReference) || block.type === "screenshot") continue;
+    for (const heading of open) {
+      if (heading && !card.includes(heading)) card.push(heading);
+    }
+    if (block.type !== "heading") card.push(block);
+  }
+
+  const ids = new Set(card.filter((b) => b.id).map((b) => b.id));
+  const withoutScreenshots = (steps) => steps.map((step) => ({ ...step, screenshot: null, steps: withoutScreenshots(step.steps) }));
+  return card.map((block) => {
+    const copy = mapInlineText(block, (text) => text
+      .replace(/\[\[([^\]|]+)\|([^\]]+)\]\]/g, (ref, id, title) => (ids.has(id) ? ref : title))
+      .replace(/\(\(((?:\\.|[^)|\\])+)\|([^)|]+)\|([^)|]+)\)\)/g, (term, words, name, id) => (ids.has(id) ? term : `((${words}|${name}))`)));
+    if (copy.steps) copy.steps = withoutScreenshots(copy.steps);
+    return copy;
+  });
+}
+
+/** Every screenshot in the guide, including those under procedure steps: { caption, source?, line }. */
+function guideScreenshots(blocks) {
+  const shots = [];
+  const fromSteps = (steps, line) => {
+    for (const step of steps) {
+      if (step.screenshot) shots.push({ ...step.screenshot, line });
+      fromSteps(step.steps, line);
+    }
+  };
+  for (const block of blocks) {
+    if (block.type === "screenshot") shots.push({ caption: block.caption, source: block.source, line: block.line });
+    if (block.type === "steps") fromSteps(block.steps, block.line);
+  }
+  return shots;
+}
+
+/** Points to DXA (twentieths of a point). */
+const dxa = (pt) => Math.round(pt * 20);
+
+/** Points to docx pixels (96 dpi), the unit the renderers take image sizes in. */
+const px = (pt) => Math.round((pt * 96) / 72);
+
+/** An image PDFKit can draw, or null. */
+function embeddable(img) {
+  return img && img.type !== "gif" ? img : null;
+}
+
+// ---------------------------------------------------------------------------
+// Building an edition
+// ---------------------------------------------------------------------------
+
+/**
+ * Load one edition of the guide.
+ *
+ * @param {object} [options]
+ * @param {string} [options.version] - Version on the title page (default: CFBundleShortVersionString in Info.plist).
+ * @param {Date} [options.date] - Creation date (default: today).
+ * @param {string} [options.locale] - Edition language, e.g. "de" (default: "en").
+ * @param {object} [options.catalog] - Its translation catalog from loadCatalog() (default: loaded from guide/locales/).
+ * @param {string|object} [options.theme] - A theme name or file, or a theme from loadTheme() (default: "letter").
+ * @param {string} [options.screenshotsDir] - Where to find screenshots (default: docs/screenshots).
+ * @param {object[]} [options.sections] - Section plugins, added in order.
+ * @param {string} [options.appcastFile] - The appcast the Release History comes from (default: docs/appcast.xml).
+ * @returns {object} The guide: { blocks, warnings, file, catalog, theme, options, title, versionLine, newerRelease, docx(),
+ *   pdf(), html(dir), epub(), help(), quickReference, kit(), pdfFontProblems(), changes(previous),
+ *   redline(changes, names), screenshotProblems(formats), lint(rules), a11y() }. Warnings are
+ *   strings, or { line, message } for a line of `file`.
+ */
+function buildGuide(options = {}) {
+  const version = options.version ?? plistString("CFBundleShortVersionString");
+  const date = options.date ?? new Date();
+  const locale = options.locale ?? "en";
+  const catalog = options.catalog ?? loadCatalog(LOCALES_DIR, locale);
+  const theme = typeof options.theme === "object" ? options.theme : loadTheme(THEMES_DIR, options.theme ?? "letter");
+  const screenshotsDir = options.screenshotsDir ?? SCREENSHOTS_DIR;
+
+  /** Translate an interface string into the edition's language and fill in its {parameters}. */
+  const t = (message, params) => formatMessage(translate(catalog, message), params);
+
+  const VERSION = t("Version {version}", { version });
+  const TITLE = t("HushType User Guide \u2014 {version}", { version: VERSION });
+  const HEADER_TEXT = t(theme.header, { version: VERSION });
+  const TAGLINE = t("On-device speech-to-text for macOS");
+  const HELP_TITLE = t(HELP_BOOK_TITLE);
+  const COPYRIGHT = t("\u00A9 2026 Malcolm Taylor. All rights reserved.");
+  const LABELS = {
+    userGuide: t("User Guide"),
+    contents: t("Contents"),
+    created: t("Created: {date}", { date: formatDate(date, locale) }),
+    sectionLink: t("Link to this section"),
+    index: t("Index"),
+    // Callout labels, which the text of each box starts with
+    tip: t("Tip:"),
+    warning: t("Warning:"),
+    // Templates the renderers fill in
+    page: t(theme.footer, { version: VERSION }),
+    screenshot: t("[ Screenshot: {caption} ]"),
+  };
+
+  // Styling from the theme, in Word's units
+  const margins = {
+    top: dxa(theme.page.margins.top),
+    right: dxa(theme.page.margins.right),
+    bottom: dxa(theme.page.margins.bottom),
+    left: dxa(theme.page.margins.left),
+  };
+  const style = {
+    brandBlue: theme.colors.brand, darkBlue: theme.colors.dark, textColor: theme.colors.text, mutedColor: theme.colors.muted,
+    tipBg: theme.callouts.tip.background, tipBorder: theme.callouts.tip.border,
+    warningBg: theme.callouts.warning.background, warningBorder: theme.callouts.warning.border,
+    codeBg: theme.colors.codeBackground, keyBg: theme.colors.keyBackground, keyBorder: theme.colors.keyBorder,
+    tableHeaderBg: theme.colors.tableHeader, tableBorder: theme.colors.tableBorder,
+    font: theme.fonts.body, codeFont: theme.fonts.code,
+    bodySize: Math.round(theme.fonts.size * 2),   // half-points
+    // Heading levels 1–3: size in half-points, spacing in DXA
+    headings: theme.headings.map((h) => ({
+      size: Math.round(h.size * 2), color: h.color, bold: h.bold, before: dxa(h.spaceBefore), after: dxa(h.spaceAfter),
+    })),
+    pageWidth: dxa(theme.page.width), pageHeight: dxa(theme.page.height), margins,
+  };
+  const contentWidth = (style.pageWidth - margins.left - margins.right) / 20;   // points
+
+  // --- Screenshots ---
+
+  // The edition's own image folder first, then docs/screenshots/
+  const folders = locale === "en" ? [screenshotsDir] : [path.join(screenshotsDir, locale), screenshotsDir];
+
+  /** Path of an image (or its @2x variant) in the edition's screenshot folders, or null. */
+  const screenshotFile = (filename) => findImage(folders, filename);
+
+  /** The SCREENSHOT_MAP entry for a caption as { file, description, annotations }, or null. */
+  function screenshotEntry(caption) {
+    const entry = SCREENSHOT_MAP[caption];
+    if (!entry) return null;
+    return typeof entry === "string"
+      ? { file: entry, description: null, annotations: [] }
+      : { description: null, annotations: [], ...entry };
+  }
+
+  // Annotated images by file, drawn once and shared by every format
+  const annotated = new Map();
+
+  /**
+   * Try to load the screenshot for a block or step's { caption, source }
+   * (source is the English caption of a translated one), with its annotations
+   * drawn on. Returns { data, type, width, height, file, annotated,
+   * description } or null; description is the translated long description,
+   * or null when the entry has none.
+   */
+  function loadScreenshot(shot) {
+    const entry = screenshotEntry(shot.source ?? shot.caption);
+    const filepath = entry && screenshotFile(entry.file);
+    if (!filepath) return null;
+
+    // Scale to fit the content width and the theme's height limit
+    const image = readImage(filepath);
+    const size = fitImage(image, contentWidth, theme.screenshots.maxHeight);
+    let data = image.data;
+    if (entry.annotations.length) {
+      if (image.type !== "png") throw new Error(`${filepath}: annotations can only be drawn on PNG screenshots`);
+      if (!annotated.has(filepath)) {
+        annotated.set(filepath, annotatePng(image.data, entry.annotations, {
+          color: theme.colors.annotation, scale: image.pixels.width / image.width, file: filepath,
+        }));
+      }
+      data = annotated.get(filepath);
+    }
+    return {
+      data, type: image.type, width: px(size.width), height: px(size.height), file: filepath, annotated: data !== image.data,
+      description: entry.description === null ? null : t(entry.description),
+    };
+  }
+
+  /** Load docs/screenshots/logo.png scaled for the title page, or null when absent. */
+  function loadLogo() {
+    const logoPath = screenshotFile("logo.png");
+    if (!logoPath) return null;
+    // Scale logo to max 450pt wide (less on narrow pages), 180pt tall
+    const image = readImage(logoPath);
+    const size = fitImage(image, Math.min(450, contentWidth), 180);
+    return { data: image.data, type: image.type, width: px(size.width), height: px(size.height), file: logoPath };
+  }
+
+  // --- Content ---
+
+  /** Join items as "a, b, and c" (or "or"), following the edition's language. */
+  const joinList = (items, type) => new Intl.ListFormat(locale === "en" ? "en-US" : locale, { type }).format(items);
+
+  // Filters for {{name | filter}} placeholders. Lists print comma-separated
+  // unless a filter says otherwise.
+  const filters = {
+    words: (value) => (NUMBER_WORDS[value] ? t(NUMBER_WORDS[value]) : String(value)),
+    and: (items) => joinList(items, "conjunction"),
+    or: (items) => joinList(items, "disjunction"),
+  };
+
+  const settings = loadSettings(SOURCES_DIR);
+  const models = loadModels(SOURCES_DIR);
+  const permissions = loadPermissions(SOURCES_DIR);
+  const glossary = loadGlossary(GLOSSARY_FILE);
+  // The version being built; release.sh runs before generate_appcast adds it.
+  const history = loadReleases(options.appcastFile ?? APPCAST_FILE, {
+    version,
+    build: buildNumber(version),
+    date,
+    minimumSystemVersion: plistString("LSMinimumSystemVersion"),
+  });
+  const source = translateGuide(parseGuide(fs.readFileSync(CONTENT_FILE, "utf8")), catalog);
+  const expanded = expandGuide(source, {
+    values: { ...settingsValues(settings, t), ...modelValues(models) },
+    filters,
+    blocks: {
+      "settings-reference": () => translateTables([settingsTable(settings)], catalog),
+      "model-table": () => translateTables([modelTable(models)], catalog),
+      "language-table": () => translateTables([languageTable(models)], catalog),
+      "permissions-table": () => translateTables([permissionsTable(permissions)], catalog),
+      "glossary": () => glossaryBlocks(glossary, { t, locale }),
+      "release-history": () => releaseHistory(history.releases, {
+        notesDir: RELEASE_NOTES_DIR,
+        formatDate: (d) => formatDate(d, locale),
+        t,
+        // Notes files sit under a chapter heading, so their headings move down two levels
+        parseNotes: (notes, file) => parseGuide(notes, file).map((b) => (
+          b.type === "heading" ? { ...b, level: Math.min(b.level + 2, 3) } : b
+        )),
+      }),
+    },
+  });
+  const withSections = addSections(expanded, options.sections ?? [], { parseGuide, t, locale, version });
+  const where = (block) => `${shortPath(CONTENT_FILE)}:${block.line}`;
+  const terms = linkTerms(linkGuide(labelCallouts(withSections, LABELS), where), glossary, { t, where, catalogFile: catalog.file });
+  const blocks = terms.blocks;
+  const warnings = [
+    ...settings.warnings, ...models.warnings, ...permissions.warnings, ...history.warnings,
+    ...terms.unmarked.map((term) => `Glossary term "${term}" is never marked ((…)) in the guide, so the index leaves it out`),
+    // The prose checks read the English wording, so a translation is checked through its source
+    ...(locale === "en" ? checkSettingsProse(blocks, settings) : []),
+  ];
+  const cardBlocks = quickReferenceBlocks(blocks);
+  if (cardBlocks.length === 0) warnings.push("Nothing in the guide is tagged <!-- quick-reference -->, so the quick reference card is empty");
+
+  // --- Rendering ---
+
+  const renderOptions = {
+    title: TITLE,
+    date,
+    headerText: HEADER_TEXT,
+    version: VERSION,
+    tagline: TAGLINE,
+    footerLines: [LABELS.created, COPYRIGHT],
+    labels: LABELS,
+    locale,
+    direction: catalog.direction,
+    // An index of the marked terms before the closing page
+    index: terms.marked.length > 0,
+    style,
+  };
+
+  // Web pages size headings relative to the body text
+  const htmlStyle = {
+    ...style,
+    headings: style.headings.map((h) => ({ size: h.size / style.bodySize, color: h.color, bold: h.bold })),
+  };
+
+  // The quick reference card: smaller type in two columns, no running header or footer
+  const card = theme.quickReference;
+  const cardScale = card.fontSize / theme.fonts.size;
+  const cardMargin = dxa(card.margins);
+  const cardOptions = {
+    ...renderOptions,
+    layout: "card",
+    index: false,
+    title: t("HushType Quick Reference \u2014 {version}", { version: VERSION }),
+    headerText: null,
+    labels: { ...LABELS, page: null },
+    columns: { count: 2, gap: dxa(card.columnGap) },
+    loadScreenshot,
+    style: {
+      ...style,
+      bodySize: Math.round(card.fontSize * 2),
+      headings: theme.headings.map((h) => ({
+        size: Math.round(h.size * cardScale * 2), color: h.color, bold: h.bold,
+        before: dxa(h.spaceBefore * cardScale), after: dxa(h.spaceAfter * cardScale),
+      })),
+      margins: { top: cardMargin, right: cardMargin, bottom: cardMargin, left: cardMargin },
+    },
+  };
+
+  return {
+    blocks,
+    warnings,
+    file: CONTENT_FILE,
+    catalog,
+    theme,
+    options: { version, date, locale, screenshotsDir },
+    title: TITLE,
+    versionLine: VERSION,
+    // The newest appcast version when it is newer than the guide's, which --strict fails on
+    newerRelease: history.newerRelease,
+
+    /** The Word document. */
+    docx: () => renderDocx(blocks, { ...renderOptions, logo: loadLogo(), loadScreenshot }),
+
+    /** Why the PDF's fonts differ from a Mac build's, as warnings (see guide/pdf.js). */
+    pdfFontProblems: () => pdfFontProblems(theme.fonts.body),
+
+    /** The PDF. PDFKit embeds PNG and JPEG only, so a GIF is drawn as a placeholder. */
+    pdf: () => renderPdf(blocks, {
+      ...renderOptions,
+      logo: embeddable(loadLogo()),
+      loadScreenshot: (shot) => embeddable(loadScreenshot(shot)),
+    }),
+
+    /**
+     * The web page for `dir`, which images are linked relative to, as
+     * { html, images }. Images stay in docs/screenshots/; `images` lists the
+     * annotated screenshots to write to images/ next to the page. `extra`
+     * adds renderHtml()'s head, banner and after options (see guide/preview.js).
+     */
+    html(dir, extra = {}) {
+      const relativeSrc = (file) => path.relative(dir, file).split(path.sep).join("/");
+      const images = new Map();
+      const logo = loadLogo();
+      const html = renderHtml(blocks, {
+        ...renderOptions,
+        lang: locale,
+        logo: logo && { src: relativeSrc(logo.file), width: logo.width, height: logo.height },
+        resolveScreenshot(shot) {
+          const img = loadScreenshot(shot);
+          if (!img) return null;
+          let file = img.file;
+          if (img.annotated) {
+            file = path.join(dir, "images", path.basename(img.file));
+            images.set(file, img.data);
+          }
+          return { src: relativeSrc(file), width: img.width, height: img.height, description: img.description };
+        },
+        style: htmlStyle,
+        ...extra,
+      });
+      return { html, images: [...images].map(([file, data]) => ({ file, data })) };
+    },
+
+    /** The EPUB book (see guide/epub.js); fails when it doesn't pass checkEpub(). */
+    epub: () => renderEpub(blocks, {
+      ...renderOptions,
+      rights: COPYRIGHT,
+      lang: locale,
+      logo: loadLogo(),
+      loadScreenshot,
+      style: htmlStyle,
+    }),
+
+    /**
+     * The edition's Help Book pages (see guide/helpbook.js) as { lproj, files },
+     * with file paths relative to its <locale>.lproj folder.
+     */
+    help: () => ({
+      lproj: `${locale}.lproj`,
+      files: renderHelpPages(blocks, {
+        ...renderOptions,
+        title: HELP_TITLE,
+        lang: locale,
+        logo: loadLogo(),
+        loadScreenshot,
+        style: htmlStyle,
+      }),
+    }),
+
+    /**
+     * The one-page quick reference card: the blocks tagged for it (see
+     * quickReferenceBlocks()) as a Word document and a PDF. pdf() fails when
+     * the card runs past one page.
+     */
+    quickReference: {
+      blocks: cardBlocks,
+      docx: () => renderDocx(cardBlocks, cardOptions),
+      pdf: () => renderPdf(cardBlocks, { ...cardOptions, loadScreenshot: (shot) => embeddable(loadScreenshot(shot)) }),
+    },
+
+    /** The Word building blocks (see guide/docx.js) in this edition's styles. */
+    kit: () => docxKit({ ...renderOptions, loadScreenshot }),
+
+    /**
+     * What changed since `previous`, an earlier build of this edition's Word
+     * document, section by section (see diffGuides() in guide/diff.js).
+     */
+    changes: async (previous) => {
+      const read = (buffer) => readGuideDocx(buffer, { screenshot: LABELS.screenshot });
+      const current = await renderDocx(blocks, { ...renderOptions, logo: loadLogo(), loadScreenshot });
+      return diffGuides(read(previous), read(current));
+    },
+
+    /** The guide with `changes` from changes() tracked, as a Word document (see guide/diff.js). */
+    redline: (changes, names) => redlineDocx(changes, {
+      kit: docxKit({ ...renderOptions, loadScreenshot }),
+      names,
+      date,
+      locale,
+    }),
+
+    /**
+     * Screenshots shown as placeholders in `formats`, as warnings, and the
+     * images in the screenshot folders that the guide doesn't use.
+     *
+     * @returns {{placeholders: {line: number, message: string}[], unused: string[]}}
+     */
+    screenshotProblems(formats) {
+      const where = folders.map(shortPath).join(" or ");
+      const used = new Set(["logo.png", ...EXTRA_IMAGES]);
+      const placeholders = [];
+      for (const shot of guideScreenshots(blocks)) {
+        const key = shot.source ?? shot.caption;
+        const filename = screenshotEntry(key)?.file;
+        if (!filename) {
+          placeholders.push({ line: shot.line, message: `screenshot "${key}" has no file in SCREENSHOT_MAP and is shown as a placeholder` });
+          continue;
+        }
+        used.add(filename);
+        const file = screenshotFile(filename);
+        if (!file) {
+          placeholders.push({ line: shot.line, message: `screenshot "${key}" is shown as a placeholder: ${filename} is not in ${where}` });
+        } else if (readImage(file).type === "gif" && formats.includes("pdf")) {
+          placeholders.push({ line: shot.line, message: `screenshot "${key}" is shown as a placeholder in the PDF, which can't embed GIF images; convert ${shortPath(file)} to PNG` });
+        }
+      }
+      const unused = folders.flatMap(listImages).filter((file) => !used.has(baseName(file)));
+      return { placeholders, unused };
+    },
+
+    /** Check the guide with lint rules from loadLintRules() (see guide/lint.js). */
+    lint: (rules) => lintGuide(blocks, rules, { captions: Object.keys(SCREENSHOT_MAP), numberWords: NUMBER_WORDS }),
+
+    /** Check the edition and its theme for accessibility problems (see guide/a11y.js). */
+    a11y: () => checkAccessibility(blocks, { theme, labels: LABELS, screenshot: screenshotEntry }),
+  };
+}
+
+/**
+ * The Apple Help Book for editions built by buildGuide(), as files relative
+ * to the HushType.help folder. The first edition is the one Help Viewer falls
+ * back to for other languages.
+ *
+ * @param {object[]} guides
+ * @returns {{file: string, data: (string|Buffer)}[]}
+ */
+function helpBook(guides) {
+  const version = guides[0].options.version;
+  const info = helpInfoPlist({
+    // The app's CFBundleHelpBookName names the book by this identifier
+    identifier: `${plistString("CFBundleIdentifier")}.help`,
+    title: HELP_BOOK_TITLE,
+    version,
+    build: buildNumber(version),
+    developmentRegion: guides[0].options.locale,
+  });
+  return [
+    { file: "Contents/Info.plist", data: info },
+    ...guides.flatMap((guide) => {
+      const { lproj, files } = guide.help();
+      return files.map(({ file, data }) => ({ file: `Contents/Resources/${lproj}/${file}`, data }));
+    }),
+  ];
+}
+
+module.exports = { buildGuide, parseGuide, helpBook, LOCALES_DIR, THEMES_DIR };
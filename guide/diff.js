@@ -0,0 +1,461 @@
+// guide/diff.js — What changed in the guide between two builds
+//
+// `node create-guide.js --diff <previous.docx|git-ref>` compares an earlier
+// Word document with the one the guide builds now. Both are read back into
+// the same content model with readGuideDocx(): the sections under each
+// heading, and in each the paragraphs, list items, procedure steps, table
+// rows and boxes as plain text, and the screenshots by caption and a checksum
+// of the image. Reading the .docx rather than the guide source means any
+// release's document can be compared, whatever the guide looked like then.
+//
+// diffGuides() matches sections by their heading path ("Settings › Activation"),
+// or as renamed when most of their text is the same, and the items within a
+// section in order. An item that is gone where one appeared in its place and
+// shares at least half its words with it counts as reworded rather than
+// removed and added. changesReport() writes the result as Markdown for the
+// release notes, and redlineDocx() as a Word document of the whole guide with
+// the changes tracked, for a reviewer to step through in Word.
+
+const crypto = require("crypto");
+const { Paragraph, InsertedTextRun, DeletedTextRun, Packer } = require("docx");
+const { readZip } = require("./zip");
+const { reproducibleDocx } = require("./docx-package");
+
+// How much of its text two items or sections share to count as the same one changed
+const SIMILARITY = 0.5;
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+/** Text of an XML text node or attribute, with entities decoded. */
+function decodeXml(text) {
+  return text.replace(/&(?:#x([0-9a-f]+)|#(\d+)|(\w+));/gi, (match, hex, dec, name) => {
+    if (hex) return String.fromCodePoint(parseInt(hex, 16));
+    if (dec) return String.fromCodePoint(parseInt(dec, 10));
+    return ENTITIES[name] ?? match;
+  });
+}
+
+/** The text a paragraph shows: its w:t runs, with tabs and line breaks as spaces. Field codes and deleted text are left out. */
+function paragraphText(xml) {
+  const parts = xml.match(/<w:t(?:\s[^>]*)?>[^<]*<\/w:t>|<w:tab\/>|<w:br\/>/g) ?? [];
+  return parts
+    .map((part) => (part.startsWith("<w:t") && !part.startsWith("<w:tab") ? decodeXml(part.replace(/<[^>]+>/g, "")) : " "))
+    .join("")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/** A regular expression matching a screenshot placeholder made from `template` ("[ Screenshot: {caption} ]"). */
+function placeholderPattern(template) {
+  const [before, after = ""] = template.split("{caption}");
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`^${escape(before.trim())}\\s*(.+?)\\s*${escape(after.trim())}$`);
+}
+
+/**
+ * Read a guide's Word document back into sections of plain-text items.
+ * What comes before the first heading (the title and contents pages) and
+ * after a page break until the next heading (the closing page) isn't part of
+ * any section. Step numbers typed into the text, as older builds did, are
+ * dropped so they compare equal to Word's numbering.
+ *
+ * @param {Buffer} buffer - A .docx made by guide/docx.js.
+ * @param {object} [options]
+ * @param {string} [options.screenshot] - The placeholder template, for screenshots that have no image.
+ * @returns {{title: ?string, sections: {key: string, title: string, level: number,
+ *   items: ({type: "text", text: string}|{type: "screenshot", caption: string, checksum: ?string})[]}[]}}
+ */
+function readGuideDocx(buffer, options = {}) {
+  const entries = readZip(buffer);
+  const part = (name) => entries.find((e) => e.name === name)?.data.toString("utf8");
+  const xml = part("word/document.xml");
+  if (!xml) throw new Error("not a Word document: it has no word/document.xml");
+  const placeholder = options.screenshot ? placeholderPattern(options.screenshot) : null;
+
+  // Images by relationship id, as the checksum of the file they point to
+  const media = new Map();
+  for (const rel of (part("word/_rels/document.xml.rels") ?? "").match(/<Relationship\b[^>]*>/g) ?? []) {
+    const id = /\bId="([^"]+)"/.exec(rel)?.[1];
+    const target = /\bTarget="([^"]+)"/.exec(rel)?.[1];
+    const data = target && entries.find((e) => e.name === `word/${target.replace(/^\//, "").replace(/^word\//, "")}`)?.data;
+    if (id && data) media.set(id, crypto.createHash("sha256").update(data).digest("hex"));
+  }
+  const title = /<dc:title>([^<]*)<\/dc:title>/.exec(part("docProps/core.xml") ?? "")?.[1];
+
+  const sections = [];
+  const headings = [];     // the headings above the current item, by level
+  const occurrences = new Map();
+  let section = null;
+  let lastCaption = null;  // a screenshot's caption, printed in the paragraph after it
+
+  const add = (item) => {
+    if (section) section.items.push(item);
+  };
+  const paragraph = (p) => {
+    const caption = lastCaption;
+    lastCaption = null;
+    const blip = /<a:blip\b[^>]*\br:embed="([^"]+)"/.exec(p);
+    if (blip) {
+      const docPr = /<wp:docPr\b[^>]*>/.exec(p)?.[0] ?? "";
+      const name = decodeXml(/\btitle="([^"]*)"/.exec(docPr)?.[1] ?? /\bname="([^"]*)"/.exec(docPr)?.[1] ?? "");
+      add({ type: "screenshot", caption: name, checksum: media.get(blip[1]) ?? null });
+      lastCaption = name;
+      return;
+    }
+    const text = paragraphText(p);
+    if (!text || text === caption) return;
+    const shot = placeholder?.exec(text);
+    if (shot) {
+      add({ type: "screenshot", caption: shot[1], checksum: null });
+      return;
+    }
+    add({ type: "text", text: text.replace(/^\d+\.\s+/, "") });
+  };
+
+  const body = xml.slice(xml.indexOf("<w:body>"));
+  for (const [element] of body.matchAll(/<w:tbl>[\s\S]*?<\/w:tbl>|<w:p\b[^>]*\/>|<w:p\b[\s\S]*?<\/w:p>/g)) {
+    if (element.startsWith("<w:tbl>")) {
+      lastCaption = null;
+      // One item per row; a tip or warning box is a table of one cell
+      for (const [row] of element.matchAll(/<w:tr\b[\s\S]*?<\/w:tr>/g)) {
+        const cells = [...row.matchAll(/<w:tc\b[\s\S]*?<\/w:tc>/g)].map(([cell]) => (
+          (cell.match(/<w:p\b[\s\S]*?<\/w:p>/g) ?? []).map(paragraphText).filter(Boolean).join(" ")
+        ));
+        if (cells.some(Boolean)) add({ type: "text", text: cells.join(" | ") });
+      }
+      continue;
+    }
+    const level = /<w:pStyle w:val="Heading(\d)"\/>/.exec(element)?.[1];
+    if (level) {
+      lastCaption = null;
+      headings.length = level - 1;
+      headings[level - 1] = paragraphText(element);
+      const title = headings.filter(Boolean).join(" › ");
+      const n = (occurrences.get(title) ?? 0) + 1;
+      occurrences.set(title, n);
+      section = { key: n === 1 ? title : `${title} (${n})`, title, level: +level, items: [] };
+      sections.push(section);
+      continue;
+    }
+    if (/<w:br w:type="page"\/>/.test(element)) section = null;
+    paragraph(element);
+  }
+  return { title: title ? decodeXml(title) : null, sections };
+}
+
+// ---------------------------------------------------------------------------
+// Comparing
+// ---------------------------------------------------------------------------
+
+/** The index pairs [i, j] of a longest common subsequence of `a` and `b`. */
+function commonPairs(a, b, equal) {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = equal(a[i], b[j]) ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  const pairs = [];
+  for (let i = 0, j = 0; i < a.length && j < b.length;) {
+    if (equal(a[i], b[j])) pairs.push([i++, j++]);
+    else if (lengths[i + 1][j] >= lengths[i][j + 1]) i++;
+    else j++;
+  }
+  return pairs;
+}
+
+/** How much two sequences share, from 0 to 1. */
+function similarity(a, b, equal) {
+  return a.length + b.length ? (2 * commonPairs(a, b, equal).length) / (a.length + b.length) : 1;
+}
+
+const sameItem = (a, b) => a.type === b.type && (a.type === "text" ? a.text === b.text : a.caption === b.caption);
+const words = (text) => text.split(" ");
+
+/** A reworded text as runs of { op: "same", "removed" or "added", text }. */
+function wordDiff(before, after) {
+  const a = words(before);
+  const b = words(after);
+  const runs = [];
+  const push = (op, word) => {
+    const last = runs[runs.length - 1];
+    if (last?.op === op) last.text += ` ${word}`;
+    else runs.push({ op, text: word });
+  };
+  let i = 0;
+  let j = 0;
+  for (const [pi, pj] of [...commonPairs(a, b, (x, y) => x === y), [a.length, b.length]]) {
+    while (i < pi) push("removed", a[i++]);
+    while (j < pj) push("added", b[j++]);
+    if (i < a.length) push("same", a[i]);
+    i++;
+    j++;
+  }
+  return runs;
+}
+
+/**
+ * The items of a section that's in both builds, in order: each one "same",
+ * "added", "removed" or "reworded" (with its word diff), and screenshots
+ * whose image changed as "screenshot".
+ */
+function diffItems(before, after) {
+  const items = [];
+  // Between two items both builds share, what's gone and what's new may be the same item reworded
+  const gap = (removed, added) => {
+    let from = 0;
+    for (const old of removed) {
+      const match = old.type !== "text" ? -1 : added.findIndex((item, n) => (
+        n >= from && item.type === "text" && similarity(words(old.text), words(item.text), (x, y) => x === y) >= SIMILARITY
+      ));
+      if (match < 0) {
+        items.push({ op: "removed", item: old });
+        continue;
+      }
+      items.push(...added.slice(from, match).map((item) => ({ op: "added", item })));
+      items.push({ op: "reworded", before: old, item: added[match], words: wordDiff(old.text, added[match].text) });
+      from = match + 1;
+    }
+    items.push(...added.slice(from).map((item) => ({ op: "added", item })));
+  };
+  let i = 0;
+  let j = 0;
+  for (const [pi, pj] of [...commonPairs(before, after, sameItem), [before.length, after.length]]) {
+    gap(before.slice(i, pi), after.slice(j, pj));
+    if (pj < after.length) {
+      const old = before[pi];
+      const item = after[pj];
+      items.push(item.type === "screenshot" && item.checksum !== old.checksum
+        ? { op: "screenshot", before: old, item }
+        : { op: "same", item });
+    }
+    i = pi + 1;
+    j = pj + 1;
+  }
+  return items;
+}
+
+/**
+ * Compare two builds read with readGuideDocx().
+ *
+ * @returns {{before: ?string, after: ?string, sections: {status: string, title: string, level: number,
+ *   renamedFrom?: string, items: {op: string, item: object, before?: object, words?: object[]}[]}[]}}
+ *   Every section of both builds in the order of the newer one, those only in
+ *   the older one where they used to be. `status` is "same", "changed",
+ *   "added" or "removed".
+ */
+function diffGuides(before, after) {
+  const matched = new Map();   // index in `after` → index in `before`
+  const byKey = new Map(before.sections.map((s, i) => [s.key, i]));
+  after.sections.forEach((s, j) => {
+    if (byKey.has(s.key)) matched.set(j, byKey.get(s.key));
+  });
+  // A section only one build has may be the other's renamed
+  const taken = new Set(matched.values());
+  after.sections.forEach((s, j) => {
+    if (matched.has(j)) return;
+    let best = null;
+    before.sections.forEach((old, i) => {
+      if (taken.has(i) || old.level !== s.level) return;
+      const score = similarity(old.items, s.items, sameItem);
+      if (score >= SIMILARITY && (!best || score > best.score)) best = { i, score };
+    });
+    if (best) {
+      matched.set(j, best.i);
+      taken.add(best.i);
+    }
+  });
+
+  const sections = after.sections.map((s, j) => {
+    if (!matched.has(j)) {
+      return { status: "added", title: s.title, level: s.level, items: s.items.map((item) => ({ op: "added", item })), at: [j, 0] };
+    }
+    const old = before.sections[matched.get(j)];
+    const items = diffItems(old.items, s.items);
+    const renamed = old.title !== s.title;
+    const changed = renamed || items.some((entry) => entry.op !== "same");
+    return {
+      status: changed ? "changed" : "same",
+      title: s.title,
+      level: s.level,
+      ...(renamed ? { renamedFrom: old.title } : {}),
+      items,
+      at: [j, 0],
+    };
+  });
+  // A removed section goes after the section that followed the one before it
+  const position = new Map([...matched].map(([j, i]) => [i, j]));
+  let previous = -1;
+  before.sections.forEach((old, i) => {
+    if (position.has(i)) {
+      previous = position.get(i);
+      return;
+    }
+    sections.push({ status: "removed", title: old.title, level: old.level, items: old.items.map((item) => ({ op: "removed", item })), at: [previous, 1 + i] });
+  });
+  sections.sort((a, b) => a.at[0] - b.at[0] || a.at[1] - b.at[1]);
+  return { before: before.title, after: after.title, sections: sections.map(({ at, ...s }) => s) };
+}
+
+/** Counts of what changed, for the report's summary. */
+function countChanges(changes) {
+  const count = { added: 0, removed: 0, changed: 0, paragraphs: { added: 0, removed: 0, reworded: 0 }, screenshots: 0 };
+  for (const section of changes.sections) {
+    if (section.status !== "same") count[section.status]++;
+    for (const entry of section.items) {
+      if (entry.op === "screenshot") count.screenshots++;
+      else if (entry.op !== "same" && entry.item.type === "text") count.paragraphs[entry.op]++;
+      else if (entry.op !== "same" && entry.op !== "reworded") count.screenshots++;
+    }
+  }
+  return count;
+}
+
+/** One sentence saying how much changed, or that nothing did. */
+function changeSummary(changes) {
+  const count = countChanges(changes);
+  const n = (number, noun) => `${number} ${noun}${number === 1 ? "" : "s"}`;
+  const parts = [
+    count.added && `${n(count.added, "section")} added`,
+    count.removed && `${n(count.removed, "section")} removed`,
+    count.changed && `${n(count.changed, "section")} changed`,
+  ].filter(Boolean);
+  if (!parts.length) return "No changes to the guide's text or screenshots";
+  const details = [
+    count.paragraphs.added && `${n(count.paragraphs.added, "paragraph")} added`,
+    count.paragraphs.removed && `${n(count.paragraphs.removed, "paragraph")} removed`,
+    count.paragraphs.reworded && `${n(count.paragraphs.reworded, "paragraph")} reworded`,
+    count.screenshots && `${n(count.screenshots, "screenshot")} changed`,
+  ].filter(Boolean);
+  return `${parts.join(", ")}${details.length ? ` (${details.join(", ")})` : ""}`;
+}
+
+/** What happened to a screenshot, in a few words. */
+function screenshotChange(entry) {
+  if (entry.op === "added") return entry.item.checksum ? "added" : "added, as a placeholder";
+  if (entry.op === "removed") return "removed";
+  if (!entry.before.checksum) return "now has an image";
+  return entry.item.checksum ? "new image" : "image removed; now a placeholder";
+}
+
+// ---------------------------------------------------------------------------
+// Reports
+// ---------------------------------------------------------------------------
+
+/** "<before> (<from>) to <after>", with each document's title when it has one. */
+function compared(changes, { from, to }) {
+  const before = changes.before ? `${changes.before} (${from})` : from;
+  return `${before} to ${changes.after ?? to}`;
+}
+
+/** Text with the characters Markdown would read as markup escaped. */
+function escapeMarkdown(text) {
+  return text.replace(/[\\`*_~[\]<>#|]/g, "\\$&");
+}
+
+/**
+ * The changes as Markdown: a summary, then each section that was added,
+ * removed or changed. A reworded paragraph shows the words that went as
+ * ~~struck out~~ and those that replaced them in **bold**.
+ *
+ * @param {object} changes - From diffGuides().
+ * @param {{from: string, to: string}} names - What was compared, e.g. the git revision and the version.
+ * @returns {string}
+ */
+function changesReport(changes, { from, to }) {
+  const lines = [
+    "# User Guide changes",
+    "",
+    `From ${escapeMarkdown(compared(changes, { from, to }))}.`,
+    "",
+    `${changeSummary(changes)}.`,
+  ];
+  const item = (entry) => (entry.item.type === "text"
+    ? escapeMarkdown(entry.item.text)
+    : `Screenshot “${escapeMarkdown(entry.item.caption)}”: ${screenshotChange(entry)}`);
+  const list = (heading, entries, render = item) => {
+    if (!entries.length) return;
+    lines.push("", `${heading}:`, "", ...entries.map((entry) => `- ${render(entry)}`));
+  };
+
+  for (const section of changes.sections) {
+    if (section.status === "same") continue;
+    const title = escapeMarkdown(section.title);
+    if (section.status === "added") {
+      lines.push("", `## Added: ${title}`);
+      list("New text", section.items);
+    } else if (section.status === "removed") {
+      const texts = section.items.filter((entry) => entry.item.type === "text").length;
+      lines.push("", `## Removed: ${title}`, "", `The section and its ${texts === 1 ? "1 paragraph" : `${texts} paragraphs`} are gone.`);
+    } else {
+      lines.push("", `## Changed: ${title}`);
+      if (section.renamedFrom) lines.push("", `Renamed from “${escapeMarkdown(section.renamedFrom)}”.`);
+      const of = (op, type) => section.items.filter((entry) => entry.op === op && entry.item.type === type);
+      list("Added", of("added", "text"));
+      list("Removed", of("removed", "text"));
+      list("Reworded", of("reworded", "text"), (entry) => entry.words.map((run) => {
+        const text = escapeMarkdown(run.text);
+        return run.op === "removed" ? `~~${text}~~` : run.op === "added" ? `**${text}**` : text;
+      }).join(" "));
+      list("Screenshots", section.items.filter((entry) => entry.item.type === "screenshot" && entry.op !== "same"));
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * The newer build's text with the changes tracked, as Word shows an edited
+ * document: added text underlined, removed text struck out, each change
+ * accepted or rejected on its own. Screenshots are listed by caption, with
+ * what happened to the image.
+ *
+ * @param {object} changes - From diffGuides().
+ * @param {object} context
+ * @param {object} context.kit - The Word building blocks, from guide.kit().
+ * @param {{from: string, to: string}} context.names - As for changesReport().
+ * @param {Date} context.date - Date of the tracked changes and the file.
+ * @param {string} context.locale - Language of the text.
+ * @returns {Promise<Buffer>}
+ */
+async function redlineDocx(changes, { kit, names, date, locale }) {
+  const revision = { author: "HushType User Guide", date: date.toISOString().replace(/\.\d{3}Z$/, "Z") };
+  let ids = 0;
+  const inserted = (text, opts = {}) => new InsertedTextRun({ ...revision, id: ++ids, text, ...opts, ...kit.runDirection });
+  const deleted = (text, opts = {}) => new DeletedTextRun({ ...revision, id: ++ids, text, ...opts, ...kit.runDirection });
+  const paragraph = (children) => new Paragraph({ spacing: { after: 160 }, children });
+  const note = (text) => kit.textRun({ text, italics: true });
+
+  const item = (entry) => {
+    if (entry.item.type === "screenshot") {
+      const caption = `[ ${entry.item.caption} ]`;
+      if (entry.op === "same") return paragraph([note(caption)]);
+      if (entry.op === "added") return paragraph([inserted(caption, { italics: true })]);
+      if (entry.op === "removed") return paragraph([deleted(caption, { italics: true })]);
+      return paragraph([note(`${caption} — ${screenshotChange(entry)}`)]);
+    }
+    if (entry.op === "added") return paragraph([inserted(entry.item.text)]);
+    if (entry.op === "removed") return paragraph([deleted(entry.item.text)]);
+    if (entry.op === "same") return paragraph([kit.textRun({ text: entry.item.text })]);
+    // Reworded: the words in between stay, so each change reads in place
+    return paragraph(entry.words.flatMap((run, n) => {
+      const text = n < entry.words.length - 1 ? `${run.text} ` : run.text;
+      if (run.op === "added") return [inserted(text)];
+      if (run.op === "removed") return [deleted(text)];
+      return [kit.textRun({ text })];
+    }));
+  };
+
+  const children = [
+    kit.heading("User Guide changes", 1, "changes"),
+    paragraph([note(`From ${compared(changes, names)}. ${changeSummary(changes)}.`)]),
+  ];
+  changes.sections.forEach((section, n) => {
+    children.push(kit.heading(section.title.split(" › ").pop(), section.level, `change-${n + 1}`));
+    if (section.status === "added" || section.status === "removed") children.push(paragraph([note(`This section was ${section.status}.`)]));
+    if (section.renamedFrom) children.push(paragraph([note(`Renamed from “${section.renamedFrom}”.`)]));
+    children.push(...section.items.map(item));
+  });
+  return reproducibleDocx(await Packer.toBuffer(kit.document(children)), date, locale);
+}
+
+module.exports = { readGuideDocx, diffGuides, changeSummary, changesReport, redlineDocx };
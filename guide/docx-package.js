@@ -0,0 +1,167 @@
+// guide/docx-package.js — Reproducible .docx files and snapshots of them
+//
+// Packer output differs from run to run: zip entries carry the build time,
+// docProps/core.xml records when the file was made, the docx package names
+// hyperlink relationships with random ids, and it numbers drawings and
+// bookmarks with counters that carry on from one document to the next in
+// the same process. reproducibleDocx() repacks the document so the same
+// guide and creation date always give the same bytes, and the committed
+// HushType-User-Guide.docx only changes when the guide does.
+//
+// A snapshot (guide/snapshots/) is a readable copy of a build's
+// word/document.xml and word/numbering.xml, one element per line, and a list
+// of its media with their checksums. It is taken of the SNAPSHOT_BUILD
+// edition, whose version, date and release history are fixed, so only a
+// change to the guide's content changes it. `npm test` (see test/) and
+// `node create-guide.js --snapshot check` compare a fresh build with it, and
+// `--snapshot update` rewrites it, so a change to the guide shows up in
+// review as a diff of what Word will see.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { readZip, writeZip } = require("./zip");
+
+const SNAPSHOT_DIR = path.join(__dirname, "snapshots");
+
+// buildGuide() options for the snapshot: the English Letter guide, built
+// from a copy of the appcast as it was when the snapshot was pinned
+const SNAPSHOT_BUILD = {
+  version: "1.41",
+  date: new Date(Date.UTC(2026, 0, 1)),
+  appcastFile: path.join(SNAPSHOT_DIR, "appcast.xml"),
+};
+
+// Relationship ids the docx package makes from nanoid(): "rId" and 21 characters
+const RANDOM_ID = /\brId[0-9a-z_-]{21}(?![0-9a-z_-])/g;
+
+/** An ISO 8601 timestamp without milliseconds, as Word writes them. */
+function w3cDate(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+/**
+ * Make a .docx reproducible: number random relationship ids, drawing ids and
+ * bookmark ids in order of appearance, date the core properties `date`, and
+ * repack with every zip entry dated `date`. The core properties also get the
+ * document's language, which the docx package has no option for.
+ *
+ * @param {Buffer} buffer - Packer output.
+ * @param {Date} date - The guide's creation date.
+ * @param {string} [language] - Language of the text, e.g. "de".
+ * @returns {Buffer}
+ */
+function reproducibleDocx(buffer, date, language) {
+  const entries = readZip(buffer);
+  const ids = new Map();
+  const renumber = (id) => {
+    if (!ids.has(id)) ids.set(id, `rIdLink${ids.size + 1}`);
+    return ids.get(id);
+  };
+  for (const entry of entries) {
+    if (!/\.(xml|rels)$/.test(entry.name)) continue;
+    let drawings = 0;
+    const bookmarks = new Map();
+    const bookmark = (match, start, id) => {
+      if (!bookmarks.has(id)) bookmarks.set(id, bookmarks.size + 1);
+      return `${start}${bookmarks.get(id)}"`;
+    };
+    let xml = entry.data.toString("utf8")
+      .replace(RANDOM_ID, renumber)
+      .replace(/(<wp:docPr\b[^>]*?\bid=")\d+"/g, (match, start) => `${start}${++drawings}"`)
+      .replace(/(<w:bookmark(?:Start|End)\b[^>]*?\bw:id=")(\d+)"/g, bookmark);
+    if (entry.name === "docProps/core.xml") {
+      xml = xml.replace(/(<dcterms:(?:created|modified)\b[^>]*>)[^<]*/g, `$1${w3cDate(date)}`);
+      if (language) xml = xml.replace("</cp:coreProperties>", `<dc:language>${language}</dc:language></cp:coreProperties>`);
+    }
+    entry.data = Buffer.from(xml, "utf8");
+  }
+  return writeZip(entries, date);
+}
+
+/** Lay XML out one element per line, indented by depth; an element holding only text stays on one line. */
+function prettyXml(xml) {
+  const tokens = xml.split(/(<[^>]+>)/).filter(Boolean);
+  const lines = [];
+  let depth = 0;
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const indent = "  ".repeat(depth);
+    if (token.startsWith("</")) {
+      depth = Math.max(0, depth - 1);
+      lines.push("  ".repeat(depth) + token);
+    } else if (!token.startsWith("<") || token.startsWith("<?") || token.endsWith("/>")) {
+      lines.push(indent + token);
+    } else if (tokens[i + 2]?.startsWith("</") && !tokens[i + 1].startsWith("<")) {
+      lines.push(indent + token + tokens[i + 1] + tokens[i + 2]);
+      i += 2;
+    } else {
+      lines.push(indent + token);
+      depth++;
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * The snapshot of a .docx: { "document.xml", "numbering.xml", "media.txt" }
+ * as text.
+ */
+function docxSnapshot(buffer) {
+  const entries = readZip(buffer);
+  const part = (name) => entries.find((e) => e.name === name)?.data.toString("utf8") ?? "";
+  const media = entries
+    .filter((e) => e.name.startsWith("word/media/") && !e.name.endsWith("/"))
+    .map((e) => `${e.name}  ${e.data.length} bytes  sha256:${crypto.createHash("sha256").update(e.data).digest("hex")}`)
+    .sort();
+  return {
+    "document.xml": prettyXml(part("word/document.xml")),
+    "numbering.xml": prettyXml(part("word/numbering.xml")),
+    "media.txt": media.join("\n") + "\n",
+  };
+}
+
+/** Replace the snapshot in `dir`. */
+function writeSnapshot(dir, snapshot) {
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [name, text] of Object.entries(snapshot)) fs.writeFileSync(path.join(dir, name), text);
+}
+
+/**
+ * Compare a snapshot with the one stored in `dir`.
+ *
+ * @returns {{file: string, line: number, expected: string[], actual: string[]}[]}
+ *   For each file that differs, the first line that changed and the lines
+ *   that replace the stored ones (empty when the file is missing).
+ */
+function compareSnapshot(dir, snapshot) {
+  const differences = [];
+  for (const [name, text] of Object.entries(snapshot)) {
+    const file = path.join(dir, name);
+    const stored = fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null;
+    if (stored === text) continue;
+    if (stored === null) {
+      differences.push({ file, line: 0, expected: [], actual: [] });
+      continue;
+    }
+    // Trim the lines both share at the start and end; what's left is the change
+    const before = stored.split("\n");
+    const after = text.split("\n");
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) start++;
+    let end = 0;
+    while (
+      end < before.length - start && end < after.length - start
+      && before[before.length - 1 - end] === after[after.length - 1 - end]
+    ) end++;
+    differences.push({
+      file,
+      line: start + 1,
+      expected: before.slice(start, before.length - end),
+      actual: after.slice(start, after.length - end),
+    });
+  }
+  return differences;
+}
+
+module.exports = { reproducibleDocx, docxSnapshot, writeSnapshot, compareSnapshot, SNAPSHOT_DIR, SNAPSHOT_BUILD };
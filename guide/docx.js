@@ -0,0 +1,563 @@
+// guide/docx.js — Render the parsed user guide as a Word document
+//
+// docxKit() holds the building blocks of the Word guide (body paragraphs,
+// headings, tip boxes, screenshots, procedures, tables and the document's
+// styles and page setup) for one set of options, so another document can be
+// put together from the same pieces in the same style. renderDocx() uses them
+// to lay out the whole guide the way guide/pdf.js and guide/html.js do, or,
+// with `layout: "card"`, the one-page quick reference in two columns.
+//
+// Sizes follow Word's units: DXA (twentieths of a point) for page geometry
+// and spacing, half-points for font sizes, 96-dpi pixels for images.
+
+const {
+  Document, Packer, Paragraph, TextRun, Table, TableRow, TableCell, ImageRun,
+  Header, Footer, AlignmentType, LevelFormat, HeadingLevel, BorderStyle,
+  WidthType, ShadingType, PageNumber, PageBreak, Bookmark, InternalHyperlink, ExternalHyperlink,
+  PageReference, Tab, TabStopType, LeaderType, SectionType, SimpleField,
+} = require("docx");
+const { parseInline } = require("./inline");
+const { tableOfContents } = require("./links");
+const { formatMessage } = require("./i18n");
+const { reproducibleDocx } = require("./docx-package");
+
+const HEADING_LEVELS = [HeadingLevel.HEADING_1, HeadingLevel.HEADING_2, HeadingLevel.HEADING_3];
+
+// Indent of each procedure level's text, matching the "steps" numbering config
+const STEP_INDENTS = [720, 1440];
+
+// Id of the index's heading, which the contents links to
+const INDEX_ID = "index";
+
+/**
+ * The Word building blocks for one document.
+ *
+ * @param {object} options - As for renderDocx(); only `style`, `labels`,
+ *   `direction`, `locale`, `headerText`, `columns`, `index` and
+ *   `loadScreenshot` are needed to build paragraphs, and `title` for document().
+ * @returns {object} { textRun, runDirection, textRuns, body, bullet,
+ *   procedure, table, tipBox, heading, screenshotBlock, contentsPage,
+ *   indexPage, renderBlocks, document }
+ */
+function docxKit(options) {
+  const { style, labels } = options;
+  const rtl = options.direction === "rtl";
+  // Right-to-left editions mark their runs as well as their paragraphs, so
+  // Word orders the digits and punctuation inside a run right to left too
+  const runDirection = rtl ? { rightToLeft: true } : {};
+  const columns = options.columns ?? { count: 1, gap: 0 };
+  // Width of a text column, which tables and tip boxes fill
+  const contentWidth = Math.round(
+    (style.pageWidth - style.margins.left - style.margins.right - columns.gap * (columns.count - 1)) / columns.count
+  );
+
+  // Word bookmark names: letters, digits and underscores, at most 40 characters
+  const bookmarkNames = new Map();
+
+  /** The Word bookmark name for a heading or paragraph id, unique within the document. */
+  function bookmarkName(id) {
+    if (!bookmarkNames.has(id)) {
+      const base = `h_${id.replace(/[^A-Za-z0-9]+/g, "_")}`.slice(0, 36);
+      const taken = new Set(bookmarkNames.values());
+      let name = base;
+      for (let n = 2; taken.has(name); n++) name = `${base}_${n}`;
+      bookmarkNames.set(id, name);
+    }
+    return bookmarkNames.get(id);
+  }
+
+  /** A TextRun in the document's direction. */
+  const textRun = (props) => new TextRun({ ...props, ...runDirection });
+
+  /**
+   * Turn inline markup (see guide/inline.js) into styled TextRuns. Links to
+   * web pages and cross-references become hyperlinks; keys are drawn as boxed
+   * keycaps and menu paths in bold dark blue. With `options.index`, an index
+   * term is followed by the XE field that the index lists it by.
+   */
+  function textRuns(text, opts = {}) {
+    return parseInline(text).flatMap((run) => {
+      const link = run.href || run.ref;
+      const styled = textRun({
+        text: run.text,
+        size: run.key ? style.bodySize - 2 : style.bodySize,
+        color: link ? style.brandBlue : run.menu ? style.darkBlue : style.textColor,
+        font: run.code ? style.codeFont : style.font,
+        ...(run.bold || run.menu || opts.bold ? { bold: true } : {}),
+        ...(run.italics || opts.italics ? { italics: true } : {}),
+        ...(link ? { underline: {} } : {}),
+        ...(run.code ? { shading: { fill: style.codeBg, type: ShadingType.CLEAR } } : {}),
+        ...(run.key ? {
+          border: { style: BorderStyle.SINGLE, size: 4, color: style.keyBorder, space: 1 },
+          shading: { fill: style.keyBg, type: ShadingType.CLEAR },
+        } : {}),
+      });
+      const entry = run.index && options.index ? [new SimpleField(` XE "${run.index}" `)] : [];
+      if (run.href) return [new ExternalHyperlink({ link: run.href, children: [styled] }), ...entry];
+      if (run.ref) return [new InternalHyperlink({ anchor: bookmarkName(run.ref), children: [styled] }), ...entry];
+      return [styled, ...entry];
+    });
+  }
+
+  /** Create a body paragraph, bookmarked when `opts.id` names it as a link target. */
+  function body(text, opts = {}) {
+    const children = textRuns(text, opts);
+    return new Paragraph({
+      spacing: { after: opts.spacingAfter ?? 160 },
+      alignment: opts.alignment,
+      children: opts.id ? [new Bookmark({ id: bookmarkName(opts.id), children })] : children,
+    });
+  }
+
+  /** Create a bulleted list item. */
+  function bullet(text, opts = {}) {
+    return new Paragraph({
+      numbering: { reference: "bullets", level: 0 },
+      spacing: { after: opts.spacingAfter ?? 80 },
+      children: textRuns(text),
+    });
+  }
+
+  /** Create a screenshot or placeholder paragraph, optionally indented to sit under a step. */
+  function screenshotBlock(shot, indent = 0) {
+    const { caption } = shot;
+    const img = options.loadScreenshot(shot);
+    if (img) {
+      return [
+        new Paragraph({
+          spacing: { before: 120, after: 40 },
+          alignment: AlignmentType.CENTER,
+          indent: { left: indent },
+          children: [
+            new ImageRun({
+              type: img.type,
+              data: img.data,
+              transformation: { width: img.width, height: img.height },
+              // Screen readers read the description; the caption is printed below
+              altText: { title: caption, description: img.description ?? caption, name: caption },
+            }),
+          ],
+        }),
+        new Paragraph({
+          spacing: { after: 200 },
+          alignment: AlignmentType.CENTER,
+          indent: { left: indent },
+          children: [textRun({ text: caption, italics: true, size: 18, color: style.mutedColor, font: style.font })],
+        }),
+      ];
+    }
+
+    // Placeholder box
+    return [
+      new Paragraph({
+        spacing: { before: 120, after: 200 },
+        alignment: AlignmentType.CENTER,
+        indent: { left: indent },
+        children: [
+          textRun({
+            text: formatMessage(labels.screenshot, { caption }),
+            italics: true,
+            size: 20,
+            color: style.mutedColor,
+            font: style.font,
+          }),
+        ],
+        border: {
+          top: { style: BorderStyle.SINGLE, size: 1, color: "CCCCCC", space: 8 },
+          bottom: { style: BorderStyle.SINGLE, size: 1, color: "CCCCCC", space: 8 },
+        },
+      }),
+    ];
+  }
+
+  /** Create a tip/info box. */
+  function tipBox(text, type = "tip") {
+    const bgColor = type === "warning" ? style.warningBg : style.tipBg;
+    const borderColor = type === "warning" ? style.warningBorder : style.tipBorder;
+    const border = { style: BorderStyle.SINGLE, size: 1, color: borderColor };
+    const borders = { top: border, bottom: border, left: border, right: border };
+    return new Table({
+      width: { size: contentWidth, type: WidthType.DXA },
+      columnWidths: [contentWidth],
+      visuallyRightToLeft: rtl,
+      rows: [
+        new TableRow({
+          children: [
+            new TableCell({
+              borders,
+              width: { size: contentWidth, type: WidthType.DXA },
+              shading: { fill: bgColor, type: ShadingType.CLEAR },
+              margins: { top: 100, bottom: 100, left: 160, right: 160 },
+              children: [
+                new Paragraph({ children: textRuns(text) }),
+              ],
+            }),
+          ],
+        }),
+      ],
+    });
+  }
+
+  // Each procedure is its own numbering instance, so numbering restarts at 1
+  let procedureCount = 0;
+
+  /** Create the numbered paragraphs (and screenshots) of a procedure. */
+  function procedure(steps) {
+    const instance = ++procedureCount;
+    const children = [];
+    // `closing` is true for the group that ends the procedure, whose last line gets paragraph spacing
+    const addSteps = (list, level, closing) => {
+      list.forEach((step, n) => {
+        const last = closing && n === list.length - 1 && !step.screenshot;
+        children.push(new Paragraph({
+          numbering: { reference: "steps", level, instance },
+          spacing: { after: last && !step.steps.length ? 160 : 80 },
+          children: textRuns(step.text),
+        }));
+        addSteps(step.steps, level + 1, last);
+        if (step.screenshot) children.push(...screenshotBlock(step.screenshot, STEP_INDENTS[level]));
+      });
+    };
+    addSteps(steps, 0, true);
+    return children;
+  }
+
+  /** Create a bordered table. The first row is the header row: shaded, and repeated at the top of each page it runs onto. */
+  function table(rows, widths) {
+    const border = { style: BorderStyle.SINGLE, size: 1, color: style.tableBorder };
+    const borders = { top: border, bottom: border, left: border, right: border };
+    const headerShading = { fill: style.tableHeaderBg, type: ShadingType.CLEAR };
+    const cellMargins = { top: 80, bottom: 80, left: 120, right: 120 };
+
+    // Widths are relative weights; scale them to the content width.
+    const weights = widths && widths.length === rows[0].length ? widths : rows[0].map(() => 1);
+    const total = weights.reduce((a, b) => a + b, 0);
+    const colWidths = weights.map((w) => Math.round((w / total) * contentWidth));
+
+    return new Table({
+      width: { size: contentWidth, type: WidthType.DXA },
+      columnWidths: colWidths,
+      visuallyRightToLeft: rtl,
+      rows: rows.map((cells, r) => new TableRow({
+        ...(r === 0 ? { tableHeader: true } : {}),
+        children: cells.map((text, c) => new TableCell({
+          borders,
+          width: { size: colWidths[c], type: WidthType.DXA },
+          shading: r === 0 ? headerShading : undefined,
+          margins: cellMargins,
+          children: [new Paragraph({ children: textRuns(text, { bold: r === 0 }) })],
+        })),
+      })),
+    });
+  }
+
+  /** Heading paragraph (level 1–3), bookmarked so the contents and cross-references can link to it. */
+  function heading(text, level, id) {
+    return new Paragraph({
+      heading: HEADING_LEVELS[level - 1],
+      spacing: { before: style.headings[level - 1].before, after: style.headings[level - 1].after },
+      children: [new Bookmark({ id: bookmarkName(id), children: [textRun({ text, font: style.font })] })],
+    });
+  }
+
+  /** Contents page: every chapter and section, linked to its heading, with its page number. */
+  function contentsPage(blocks) {
+    const children = [
+      new Paragraph({
+        spacing: { after: 200 },
+        children: [textRun({ text: labels.contents, size: style.headings[0].size, color: style.headings[0].color, font: style.font })],
+      }),
+    ];
+    for (const entry of tableOfContents(blocks)) {
+      const anchor = bookmarkName(entry.id);
+      const size = entry.level === 1 ? style.bodySize : style.bodySize - 2;
+      children.push(new Paragraph({
+        spacing: { before: entry.level === 1 ? 80 : 0, after: 40 },
+        indent: { left: entry.level === 1 ? 0 : 360 },
+        tabStops: [{ type: TabStopType.RIGHT, position: contentWidth, leader: LeaderType.DOT }],
+        children: [
+          new InternalHyperlink({
+            anchor,
+            children: [textRun({ text: entry.title, size, color: style.textColor, font: style.font })],
+          }),
+          textRun({ children: [new Tab()], size, color: style.textColor, font: style.font }),
+          new PageReference(anchor, { hyperlink: true }),
+        ],
+      }));
+    }
+    children.push(new Paragraph({ children: [new PageBreak()] }));
+    return children;
+  }
+
+  /** Render parsed guide blocks into docx paragraphs and tables. */
+  function renderBlocks(blocks) {
+    const children = [];
+    for (const block of blocks) {
+      switch (block.type) {
+        case "heading":
+          children.push(heading(block.text, block.level, block.id));
+          break;
+        case "paragraph":
+          children.push(body(block.text, { italics: block.italics, id: block.id }));
+          break;
+        case "list":
+          block.items.forEach((item, n) => {
+            children.push(bullet(item, n === block.items.length - 1 ? { spacingAfter: 160 } : {}));
+          });
+          break;
+        case "steps":
+          children.push(...procedure(block.steps));
+          break;
+        case "callout":
+          children.push(tipBox(block.text, block.kind));
+          break;
+        case "screenshot":
+          children.push(...screenshotBlock(block));
+          break;
+        case "table":
+          children.push(table(block.rows, block.widths));
+          break;
+      }
+    }
+    return children;
+  }
+
+  /**
+   * A Document with the guide's styles, numbering, page setup, header and
+   * footer around `children`. With `options.columns`, `children` are set in
+   * columns below the full-width `banner`.
+   */
+  function document(children, banner = []) {
+    // Header and footer text
+    const greyRun = (text) => textRun({ text, size: 16, color: style.mutedColor, font: style.font });
+    const page = {
+      size: { width: style.pageWidth, height: style.pageHeight },
+      margin: style.margins,
+    };
+    const headers = () => ({
+      default: new Header({
+        children: [
+          new Paragraph({
+            alignment: AlignmentType.RIGHT,
+            children: [greyRun(options.headerText)],
+          }),
+        ],
+      }),
+    });
+    /** The footer, with the page number where its text has {page} (a footer without it has none). */
+    const footers = () => {
+      const [pageBefore, pageAfter] = labels.page.split("{page}");
+      return {
+        default: new Footer({
+          children: [
+            new Paragraph({
+              alignment: AlignmentType.CENTER,
+              children: [
+                ...(pageBefore ? [greyRun(pageBefore)] : []),
+                ...(pageAfter === undefined ? [] : [
+                  textRun({ children: [PageNumber.CURRENT], size: 16, color: style.mutedColor, font: style.font }),
+                ]),
+                ...(pageAfter ? [greyRun(pageAfter)] : []),
+              ],
+            }),
+          ],
+        }),
+      };
+    };
+    // A null header text or page label leaves the header or footer out
+    const decoration = {
+      ...(options.headerText !== null ? { headers: headers() } : {}),
+      ...(labels.page !== null ? { footers: footers() } : {}),
+    };
+    const sections = options.columns
+      ? [
+        { properties: { page }, ...decoration, children: banner },
+        {
+          properties: {
+            type: SectionType.CONTINUOUS,
+            page,
+            column: { count: columns.count, space: columns.gap, equalWidth: true },
+          },
+          ...decoration,
+          children,
+        },
+      ]
+      : [{ properties: { page }, ...decoration, children }];
+    return new Document({
+      title: options.title,
+      // Ask Word to fill in the contents page numbers (PAGEREF fields) on open
+      features: { updateFields: true },
+      styles: {
+        default: {
+          document: {
+            run: {
+              font: style.font, size: style.bodySize, color: style.textColor,
+              language: rtl ? { value: options.locale, bidirectional: options.locale } : { value: options.locale },
+            },
+            // Right-to-left paragraphs also mirror their indents and alignment
+            paragraph: { bidirectional: rtl },
+          },
+        },
+        paragraphStyles: style.headings.map((h, i) => ({
+          id: `Heading${i + 1}`, name: `Heading ${i + 1}`, basedOn: "Normal", next: "Normal", quickFormat: true,
+          run: { size: h.size, bold: h.bold, font: style.font, color: h.color },
+          paragraph: { spacing: { before: h.before, after: h.after }, outlineLevel: i },
+        })),
+      },
+      numbering: {
+        config: [
+          {
+            reference: "bullets",
+            levels: [{
+              level: 0,
+              format: LevelFormat.BULLET,
+              text: "\u2022",
+              alignment: AlignmentType.LEFT,
+              style: { paragraph: { indent: { left: 720, hanging: 360 } } },
+            }],
+          },
+          {
+            reference: "steps",
+            levels: [
+              {
+                level: 0,
+                format: LevelFormat.DECIMAL,
+                text: "%1.",
+                alignment: AlignmentType.LEFT,
+                style: { paragraph: { indent: { left: STEP_INDENTS[0], hanging: 360 } }, run: { bold: true } },
+              },
+              {
+                level: 1,
+                format: LevelFormat.LOWER_LETTER,
+                text: "%2.",
+                alignment: AlignmentType.LEFT,
+                style: { paragraph: { indent: { left: STEP_INDENTS[1], hanging: 360 } } },
+              },
+            ],
+          },
+        ],
+      },
+      sections,
+    });
+  }
+
+  /**
+   * The index on a page of its own: its heading, and the INDEX field that
+   * Word fills in from the XE fields, in two columns under letter headings.
+   */
+  function indexPage() {
+    return [
+      new Paragraph({ children: [new PageBreak()] }),
+      heading(labels.index, 1, INDEX_ID),
+      new Paragraph({ children: [new SimpleField(` INDEX \\h "A" \\c "2" `)] }),
+    ];
+  }
+
+  return {
+    textRun, runDirection, textRuns, body, bullet, procedure, table, tipBox, heading, screenshotBlock, contentsPage, indexPage,
+    renderBlocks, document,
+  };
+}
+
+/**
+ * Render guide blocks to a Word document. The same blocks and options always
+ * give the same bytes (see guide/docx-package.js).
+ *
+ * @param {object[]} blocks - Guide blocks after linkGuide().
+ * @param {object} options
+ * @param {string} options.title - The document's title (its properties, and the card's printed title).
+ * @param {?string} options.headerText - Running header on every page, or null for none.
+ * @param {string} options.version - Version line on the title page.
+ * @param {string} options.tagline - Subtitle under "User Guide".
+ * @param {string[]} options.footerLines - Lines on the closing page.
+ * @param {object} options.labels - Translated interface text (userGuide, contents, index, page and screenshot
+ *   templates); a null page template leaves out the footer.
+ * @param {string} options.direction - "ltr" or "rtl".
+ * @param {string} options.locale - Language of the text, e.g. "en".
+ * @param {Date} options.date - Creation date (document properties and zip entries).
+ * @param {?{data: Buffer, type: string, width: number, height: number}} options.logo - Title logo, or null.
+ * @param {function({caption: string, source?: string}): ?{data: Buffer, type: string, width: number, height: number}} options.loadScreenshot
+ * @param {object} options.style - Colours, fonts, heading styles and page geometry.
+ * @param {boolean} [options.index] - Add an index of the marked terms (see guide/glossary.js) before the closing page.
+ * @param {string} [options.layout] - "card" for the quick reference card.
+ * @param {{count: number, gap: number}} [options.columns] - Text columns and the space between them (DXA).
+ * @returns {Promise<Buffer>}
+ */
+async function renderDocx(blocks, options) {
+  const { style, labels } = options;
+  const kit = docxKit(options);
+  const children = [];
+
+  // --- Quick reference card: title and tagline above the columns, small print at the end ---
+  if (options.layout === "card") {
+    const title = style.headings[0];
+    const banner = [
+      new Paragraph({
+        spacing: { after: 40 },
+        children: [kit.textRun({ text: options.title, size: title.size, bold: title.bold, color: title.color, font: style.font })],
+      }),
+      new Paragraph({
+        spacing: { after: 200 },
+        border: { bottom: { style: BorderStyle.SINGLE, size: 4, color: style.tableBorder, space: 6 } },
+        children: [kit.textRun({ text: options.tagline, italics: true, size: style.bodySize, color: style.mutedColor, font: style.font })],
+      }),
+    ];
+    children.push(...kit.renderBlocks(blocks));
+    options.footerLines.forEach((line, n) => {
+      children.push(new Paragraph({
+        spacing: n === 0 ? { before: 80 } : undefined,
+        children: [kit.textRun({ text: line, size: Math.min(14, style.bodySize), color: style.mutedColor, font: style.font })],
+      }));
+    });
+    return reproducibleDocx(await Packer.toBuffer(kit.document(children, banner)), options.date, options.locale);
+  }
+
+  // --- Title block ---
+  const { logo } = options;
+  children.push(new Paragraph({
+    spacing: { after: 80 },
+    alignment: AlignmentType.CENTER,
+    children: [
+      logo
+        ? new ImageRun({
+          type: logo.type,
+          data: logo.data,
+          transformation: { width: logo.width, height: logo.height },
+          altText: { title: "HushType", description: "HushType logo", name: "logo" },
+        })
+        : kit.textRun({ text: "HushType", size: 56, color: style.textColor, font: style.font }),
+    ],
+  }));
+  children.push(
+    kit.body(labels.userGuide, { alignment: AlignmentType.CENTER, spacingAfter: 80 }),
+    new Paragraph({
+      spacing: { after: 80 },
+      alignment: AlignmentType.CENTER,
+      children: [kit.textRun({ text: options.tagline, italics: true, size: style.bodySize, color: style.mutedColor, font: style.font })],
+    }),
+    new Paragraph({
+      spacing: { after: 360 },
+      alignment: AlignmentType.CENTER,
+      children: [kit.textRun({ text: options.version, size: style.bodySize, color: style.mutedColor, font: style.font })],
+    })
+  );
+
+  // --- Contents, guide text and index ---
+  const indexHeading = { type: "heading", level: 1, text: labels.index, id: INDEX_ID };
+  children.push(...kit.contentsPage(options.index ? [...blocks, indexHeading] : blocks), ...kit.renderBlocks(blocks));
+  if (options.index) children.push(...kit.indexPage());
+
+  // --- Closing page ---
+  children.push(new Paragraph({ children: [new PageBreak()] }));
+  options.footerLines.forEach((line, n) => {
+    children.push(new Paragraph({
+      spacing: n === 0 ? { before: 200, after: 40 } : undefined,
+      alignment: AlignmentType.CENTER,
+      children: [kit.textRun({ text: line, size: 18, color: style.mutedColor, font: style.font })],
+    }));
+  });
+
+  return reproducibleDocx(await Packer.toBuffer(kit.document(children)), options.date, options.locale);
+}
+
+module.exports = { docxKit, renderDocx };
@@ -0,0 +1,424 @@
+// guide/epub.js — Render the guide as an EPUB 3 book, and check EPUB files
+//
+// Used by create-guide.js for `--format epub`, for reading the guide on a
+// phone or tablet next to the Mac. The book reflows to the screen, unlike the
+// PDF:
+//
+//   mimetype                   first and uncompressed, as readers expect
+//   META-INF/container.xml     points to the package document
+//   EPUB/package.opf           metadata, manifest and reading order
+//   EPUB/nav.xhtml             contents from the chapter and section headings
+//   EPUB/title.xhtml           logo, title, version and copyright
+//   EPUB/text/<id>.xhtml       one document per chapter
+//   EPUB/images/               the screenshots and logo
+//   EPUB/style.css
+//
+// The body is the same HTML the web page uses (guide/html.js), written as
+// XHTML: screenshots have their descriptions as alt text, callouts are <aside>
+// boxes and tables stay tables. renderEpub() runs the book through
+// checkEpub(), a structural check along the lines of epubcheck's (package,
+// manifest, spine, navigation, well-formed XHTML, links and alt text), and
+// fails rather than write a book a reader might reject. test/epub-check.test.js
+// runs the check on the guide's book and on copies of it broken on purpose.
+
+const crypto = require("crypto");
+const path = require("path");
+const { readZip, writeZip } = require("./zip");
+const { tableOfContents, splitChapters } = require("./links");
+const { blocksHtml, escapeHtml, stylesheet } = require("./html");
+
+const MIMETYPE = "application/epub+zip";
+const PACKAGE_FILE = "EPUB/package.opf";
+const XHTML_NS = "http://www.w3.org/1999/xhtml";
+
+// Media types by file extension, for the manifest
+const MEDIA_TYPES = {
+  ".xhtml": "application/xhtml+xml",
+  ".css": "text/css",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+};
+
+/** A UUID made from `text`, so each edition keeps its identifier from build to build. */
+function stableUuid(text) {
+  const hex = crypto.createHash("sha1").update(text).digest("hex");
+  // Version 5 (name-based, SHA-1) and the RFC 4122 variant
+  const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+/**
+ * Render guide blocks as an EPUB 3 book.
+ *
+ * @param {object[]} blocks - Guide blocks after linkGuide().
+ * @param {object} options
+ * @param {string} options.title - Book title.
+ * @param {string} options.version - Version line on the title page.
+ * @param {string} options.tagline - Subtitle on the title page.
+ * @param {string[]} options.footerLines - Lines at the foot of the title page.
+ * @param {string} options.rights - Copyright statement for the metadata.
+ * @param {object} options.labels - Translated interface text (userGuide, contents, screenshot template).
+ * @param {string} options.lang - Language code of the text.
+ * @param {string} options.direction - "ltr" or "rtl".
+ * @param {Date} options.date - Creation date; the book's modification date and every zip entry's.
+ * @param {?{data: Buffer, type: string, file: string, width: number, height: number}} options.logo - Title logo, or null.
+ * @param {function({caption: string, source?: string}): ?{data: Buffer, type: string, file: string, width: number, height: number}} options.loadScreenshot
+ * @param {object} options.style - As for renderHtml().
+ * @returns {Buffer}
+ */
+function renderEpub(blocks, options) {
+  const images = new Map();
+  const { intro, chapters } = splitChapters(blocks);
+  const chapterFile = (chapter) => `text/${chapter.heading.id}.xhtml`;
+
+  // Which document each heading (or glossary entry) is in, relative to EPUB/
+  const fileOf = new Map();
+  for (const chapter of chapters) {
+    for (const block of chapter.blocks) if (block.id) fileOf.set(block.id, chapterFile(chapter));
+  }
+  for (const block of intro) if (block.id) fileOf.set(block.id, "title.xhtml");
+
+  /** The href of `file` (relative to EPUB/) from the document at `from`. */
+  const relative = (from, file) => path.posix.relative(path.posix.dirname(from), file) || path.posix.basename(file);
+
+  /** Add an image to images/ and return its path relative to EPUB/. */
+  function addImage(img) {
+    const file = `images/${path.basename(img.file)}`;
+    images.set(file, img.data);
+    return file;
+  }
+
+  /** Blocks as XHTML for the document at `doc`. */
+  const body = (list, doc) => blocksHtml(list, {
+    labels: { ...options.labels, sectionLink: null },
+    xhtml: true,
+    refHref: (id) => {
+      const target = fileOf.get(id);
+      return target === doc ? `#${id}` : `${relative(doc, target)}#${id}`;
+    },
+    resolveScreenshot: (shot) => {
+      const img = options.loadScreenshot(shot);
+      return img && { src: relative(doc, addImage(img)), width: img.width, height: img.height, description: img.description };
+    },
+  }).join("\n");
+
+  /** A complete XHTML content document at `doc`. */
+  const xhtml = (doc, title, content) => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="${XHTML_NS}" xmlns:epub="http://www.idpf.org/2007/ops" lang="${escapeHtml(options.lang)}" xml:lang="${escapeHtml(options.lang)}" dir="${options.direction}">
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeHtml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="${relative(doc, "style.css")}" />
+</head>
+<body>
+${content}
+</body>
+</html>
+`;
+
+  const documents = [];
+
+  // --- Title page ---
+  const logo = options.logo
+    ? `<img src="${escapeHtml(addImage(options.logo))}" alt="HushType" width="${options.logo.width}" height="${options.logo.height}" />`
+    : "<h1>HushType</h1>";
+  documents.push({
+    file: "title.xhtml",
+    data: xhtml("title.xhtml", options.title, `<section epub:type="titlepage">
+  <header class="title">
+    ${logo}
+    <p>${escapeHtml(options.labels.userGuide)}</p>
+    <p class="tagline">${escapeHtml(options.tagline)}</p>
+    <p class="version">${escapeHtml(options.version)}</p>
+  </header>
+${body(intro, "title.xhtml")}
+  <footer>
+${options.footerLines.map((line) => `    <p>${escapeHtml(line)}</p>`).join("\n")}
+  </footer>
+</section>`),
+  });
+
+  // --- Navigation: chapters with their sections ---
+  const toc = [];
+  for (const entry of tableOfContents(blocks)) {
+    if (entry.level === 1 || toc.length === 0) toc.push({ ...entry, sections: [] });
+    else toc[toc.length - 1].sections.push(entry);
+  }
+  const navLink = (entry) => {
+    const file = fileOf.get(entry.id);
+    const href = entry.level === 1 && file !== "title.xhtml" ? file : `${file}#${entry.id}`;
+    return `<a href="${escapeHtml(href)}">${escapeHtml(entry.title)}</a>`;
+  };
+  const navItems = toc.map((chapter) => {
+    const sections = chapter.sections.length
+      ? `\n        <ol>\n${chapter.sections.map((s) => `          <li>${navLink(s)}</li>`).join("\n")}\n        </ol>\n      `
+      : "";
+    return `      <li>${navLink(chapter)}${sections}</li>`;
+  });
+  const landmarks = chapters.length
+    ? `
+  <nav epub:type="landmarks" hidden="hidden">
+    <ol>
+      <li><a epub:type="toc" href="nav.xhtml#toc">${escapeHtml(options.labels.contents)}</a></li>
+      <li><a epub:type="bodymatter" href="${chapterFile(chapters[0])}">${escapeHtml(chapters[0].heading.text.replace(/\*\*/g, ""))}</a></li>
+    </ol>
+  </nav>`
+    : "";
+  documents.push({
+    file: "nav.xhtml",
+    nav: true,
+    data: xhtml("nav.xhtml", options.labels.contents, `<nav epub:type="toc" id="toc" aria-label="${escapeHtml(options.labels.contents)}">
+    <h1>${escapeHtml(options.labels.contents)}</h1>
+    <ol>
+${navItems.join("\n")}
+    </ol>
+  </nav>${landmarks}`),
+  });
+
+  // --- One document per chapter ---
+  for (const chapter of chapters) {
+    const file = chapterFile(chapter);
+    const title = chapter.heading.text.replace(/\*\*/g, "");
+    documents.push({ file, data: xhtml(file, title, `<section epub:type="chapter">\n${body(chapter.blocks, file)}\n</section>`) });
+  }
+
+  // --- Package document ---
+  const modified = options.date.toISOString().replace(/\.\d{3}Z$/, "Z");
+  const items = [
+    ...documents.map((d) => ({ id: d.nav ? "nav" : `doc-${path.posix.basename(d.file, ".xhtml")}`, file: d.file, properties: d.nav ? "nav" : null })),
+    { id: "style", file: "style.css", properties: null },
+    ...[...images.keys()].map((file, n) => ({ id: `image-${n + 1}`, file, properties: null })),
+  ];
+  const manifest = items.map((item) => {
+    const properties = item.properties ? ` properties="${item.properties}"` : "";
+    return `    <item id="${escapeHtml(item.id)}" href="${escapeHtml(item.file)}" media-type="${MEDIA_TYPES[path.extname(item.file).toLowerCase()]}"${properties} />`;
+  });
+  // The title page, then the contents, then the chapters in order
+  const spine = items.filter((item) => item.file.endsWith(".xhtml")).map((item) => `    <itemref idref="${escapeHtml(item.id)}" />`);
+  const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeHtml(options.lang)}" dir="${options.direction}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">urn:uuid:${stableUuid(`${options.title}\n${options.lang}`)}</dc:identifier>
+    <dc:title>${escapeHtml(options.title)}</dc:title>
+    <dc:language>${escapeHtml(options.lang)}</dc:language>
+    <dc:rights>${escapeHtml(options.rights)}</dc:rights>
+    <dc:date>${modified.slice(0, 10)}</dc:date>
+    <meta property="dcterms:modified">${modified}</meta>
+  </metadata>
+  <manifest>
+${manifest.join("\n")}
+  </manifest>
+  <spine page-progression-direction="${options.direction}">
+${spine.join("\n")}
+  </spine>
+</package>
+`;
+
+  const css = `${stylesheet(options.style)}
+    body { margin: 0 4%; }
+    nav { position: static; max-height: none; padding: 0; font-size: 1rem; }
+    nav ol { padding-inline-start: 1.2rem; }
+    nav ol ol { font-size: 0.95rem; }
+    header.title { margin-top: 2rem; }
+    aside.callout { display: block; }
+    figure img, header.title img { max-width: 100%; height: auto; }
+    table { font-size: 0.9rem; }
+`;
+
+  const container = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="${PACKAGE_FILE}" media-type="application/oebps-package+xml" />
+  </rootfiles>
+</container>
+`;
+
+  const utf8 = (text) => Buffer.from(text, "utf8");
+  const epub = writeZip([
+    { name: "mimetype", data: utf8(MIMETYPE), stored: true },
+    { name: "META-INF/container.xml", data: utf8(container) },
+    { name: PACKAGE_FILE, data: utf8(opf) },
+    ...documents.map((d) => ({ name: `EPUB/${d.file}`, data: utf8(d.data) })),
+    { name: "EPUB/style.css", data: utf8(css) },
+    ...[...images].map(([file, data]) => ({ name: `EPUB/${file}`, data })),
+  ], options.date);
+
+  const problems = checkEpub(epub);
+  if (problems.length) throw new Error(`the EPUB is not valid:\n  ${problems.join("\n  ")}`);
+  return epub;
+}
+
+// ---------------------------------------------------------------------------
+// Checking
+// ---------------------------------------------------------------------------
+
+const XML_TOKEN = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[[\s\S]*?\]\]>|<(\/?)([A-Za-z_][\w.:-]*)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|<|&(?!(?:amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);)/g;
+const XML_ATTRIBUTE = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Parse XML just far enough to check it: whether it is well-formed, and its
+ * elements in document order with their attributes and text.
+ *
+ * @returns {{elements: {name: string, attrs: Object<string, string>, text: string}[], errors: string[]}}
+ */
+function parseXml(text) {
+  const elements = [];
+  const errors = [];
+  const open = [];
+  let last = 0;
+  for (const m of text.matchAll(XML_TOKEN)) {
+    if (open.length) open[open.length - 1].text += text.slice(last, m.index);
+    last = m.index + m[0].length;
+    const line = text.slice(0, m.index).split("\n").length;
+    if (m[0] === "<") {
+      errors.push(`line ${line}: unescaped "<"`);
+    } else if (m[0] === "&") {
+      errors.push(`line ${line}: unescaped "&"`);
+    } else if (m[2] && m[1]) {
+      const element = open.pop();
+      if (!element || element.name !== m[2]) {
+        errors.push(`line ${line}: </${m[2]}> closes ${element ? `<${element.name}>` : "nothing"}`);
+        if (element) open.push(element);
+      }
+    } else if (m[2]) {
+      const attrs = {};
+      for (const a of m[3].matchAll(XML_ATTRIBUTE)) {
+        if (Object.hasOwn(attrs, a[1])) errors.push(`line ${line}: <${m[2]}> repeats the attribute ${a[1]}`);
+        attrs[a[1]] = a[2] ?? a[3];
+      }
+      const element = { name: m[2], attrs, text: "" };
+      elements.push(element);
+      if (!m[4]) open.push(element);
+    }
+  }
+  for (const element of open) errors.push(`<${element.name}> is never closed`);
+  if (elements.length === 0) errors.push("no root element");
+  return { elements, errors };
+}
+
+/**
+ * Check an EPUB 3 file's structure, the way epubcheck does for the parts
+ * this book uses: the container, the package document's metadata, manifest
+ * and spine, the navigation document, well-formed XHTML with unique ids,
+ * alt text on images, and links that lead to a document and id in the book.
+ *
+ * @param {Buffer} buffer - The .epub file.
+ * @returns {string[]} Problems, empty when the book passes.
+ */
+function checkEpub(buffer) {
+  const problems = [];
+
+  // The mimetype entry comes first and uncompressed, so readers can identify the file by its first bytes
+  const nameLength = buffer.length >= 30 ? buffer.readUInt16LE(26) : 0;
+  if (buffer.length < 30 || buffer.readUInt32LE(0) !== 0x04034B50 || buffer.toString("latin1", 30, 30 + nameLength) !== "mimetype") {
+    problems.push("mimetype is not the first entry");
+  } else if (buffer.readUInt16LE(8) !== 0) {
+    problems.push("mimetype is compressed");
+  }
+
+  let entries;
+  try {
+    entries = readZip(buffer);
+  } catch (err) {
+    return [...problems, err.message];
+  }
+  const files = new Map(entries.map((e) => [e.name, e.data]));
+  if (files.get("mimetype")?.toString("latin1") !== MIMETYPE) problems.push(`mimetype does not say ${MIMETYPE}`);
+
+  const xml = (name) => {
+    const parsed = parseXml(files.get(name).toString("utf8"));
+    for (const error of parsed.errors) problems.push(`${name}: ${error}`);
+    return parsed.elements;
+  };
+
+  // --- Container and package document ---
+  if (!files.has("META-INF/container.xml")) return [...problems, "META-INF/container.xml is missing"];
+  const rootfile = xml("META-INF/container.xml").find((e) => e.name === "rootfile")?.attrs["full-path"];
+  if (!rootfile || !files.has(rootfile)) return [...problems, `META-INF/container.xml: package document ${rootfile ?? "(none)"} is missing`];
+  const opf = xml(rootfile);
+  const pkg = opf.find((e) => e.name === "package");
+  const inBook = (from, href) => path.posix.normalize(path.posix.join(path.posix.dirname(from), decodeURIComponent(href)));
+
+  if (pkg?.attrs.version !== "3.0") problems.push(`${rootfile}: package version is not 3.0`);
+  const identifier = opf.find((e) => e.name === "dc:identifier" && e.attrs.id === pkg?.attrs["unique-identifier"]);
+  if (!identifier?.text.trim()) problems.push(`${rootfile}: no dc:identifier matches unique-identifier`);
+  for (const name of ["dc:title", "dc:language"]) {
+    if (!opf.some((e) => e.name === name && e.text.trim())) problems.push(`${rootfile}: ${name} is missing`);
+  }
+  const modified = opf.find((e) => e.name === "meta" && e.attrs.property === "dcterms:modified");
+  if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/.test(modified?.text ?? "")) {
+    problems.push(`${rootfile}: meta dcterms:modified is missing or not of the form yyyy-mm-ddThh:mm:ssZ`);
+  }
+
+  // --- Manifest and spine ---
+  const manifest = new Map();
+  for (const item of opf.filter((e) => e.name === "item")) {
+    const file = inBook(rootfile, item.attrs.href ?? "");
+    if (manifest.has(item.attrs.id)) problems.push(`${rootfile}: manifest id "${item.attrs.id}" is used twice`);
+    manifest.set(item.attrs.id, { ...item.attrs, file });
+    if (!files.has(file)) problems.push(`${rootfile}: manifest lists ${file}, which is not in the book`);
+    const expected = MEDIA_TYPES[path.extname(file).toLowerCase()];
+    if (expected && item.attrs["media-type"] !== expected) problems.push(`${rootfile}: ${file} should have media-type ${expected}`);
+  }
+  const listed = new Set([...manifest.values()].map((item) => item.file));
+  for (const name of files.keys()) {
+    if (name !== "mimetype" && name !== rootfile && !name.startsWith("META-INF/") && !name.endsWith("/") && !listed.has(name)) {
+      problems.push(`${name} is not in the manifest`);
+    }
+  }
+  const navItems = [...manifest.values()].filter((item) => (item.properties ?? "").split(/\s+/).includes("nav"));
+  if (navItems.length !== 1) problems.push(`${rootfile}: the manifest should have one navigation document, not ${navItems.length}`);
+  const spine = opf.filter((e) => e.name === "itemref").map((e) => e.attrs.idref);
+  if (spine.length === 0) problems.push(`${rootfile}: the spine is empty`);
+  for (const idref of spine) {
+    if (!manifest.has(idref)) problems.push(`${rootfile}: spine item "${idref}" is not in the manifest`);
+  }
+  for (const [id, item] of manifest) {
+    if (item["media-type"] === MEDIA_TYPES[".xhtml"] && !item.properties?.includes("nav") && !spine.includes(id)) {
+      problems.push(`${rootfile}: ${item.file} is not in the spine`);
+    }
+  }
+
+  // --- Content documents ---
+  const documents = new Map();
+  for (const item of manifest.values()) {
+    if (item["media-type"] !== MEDIA_TYPES[".xhtml"] || !files.has(item.file)) continue;
+    const elements = xml(item.file);
+    const ids = new Set();
+    for (const e of elements) {
+      if (e.attrs.id === undefined) continue;
+      if (ids.has(e.attrs.id)) problems.push(`${item.file}: id "${e.attrs.id}" is used twice`);
+      ids.add(e.attrs.id);
+    }
+    if (elements[0]?.name !== "html" || elements[0].attrs.xmlns !== XHTML_NS) problems.push(`${item.file}: the root is not an XHTML <html> element`);
+    for (const img of elements.filter((e) => e.name === "img")) {
+      if (img.attrs.alt === undefined) problems.push(`${item.file}: image ${img.attrs.src} has no alt text`);
+    }
+    documents.set(item.file, { elements, ids });
+  }
+  const nav = navItems[0] && documents.get(navItems[0].file);
+  if (nav && !nav.elements.some((e) => e.name === "nav" && e.attrs["epub:type"] === "toc")) {
+    problems.push(`${navItems[0].file}: there is no <nav epub:type="toc">`);
+  }
+
+  // --- Links and images within the book ---
+  for (const [file, doc] of documents) {
+    for (const e of doc.elements) {
+      const target = e.attrs.href ?? e.attrs.src;
+      if (target === undefined || /^[a-z][a-z0-9+.-]*:/i.test(target)) continue;
+      const [href, fragment] = target.split("#");
+      const linked = href ? inBook(file, href) : file;
+      if (!listed.has(linked)) {
+        problems.push(`${file}: ${target} leads to ${linked}, which is not in the manifest`);
+      } else if (fragment && documents.has(linked) && !documents.get(linked).ids.has(fragment)) {
+        problems.push(`${file}: ${target} leads to no id "${fragment}"`);
+      }
+    }
+  }
+  return problems;
+}
+
+module.exports = { renderEpub, checkEpub };
@@ -0,0 +1,118 @@
+// guide/glossary.js — The glossary and the terms the index lists
+//
+// Definitions live in guide/glossary.json, keyed by the term in English:
+//
+//   { "terms": { "Sparkle": "The open-source update framework … See [[Automatic Updates]].", … } }
+//
+// Body text marks a use of a term as ((Sparkle)), or ((the update framework|Sparkle))
+// when the words differ from the term; a translation names the English term,
+// e.g. ((Bedienungshilfen|Accessibility)). {{glossary}} in the guide becomes
+// one paragraph per term, sorted in the edition's language. linkTerms()
+// checks each marked term is in the glossary and links its first use to the
+// entry; every marked use is an index entry, which the Word document collects
+// with XE and INDEX fields and the PDF lists with the pages they fall on.
+// Terms and definitions are translated like the guide's interface strings.
+
+const fs = require("fs");
+const path = require("path");
+const { mapInlineText } = require("./inline");
+const { slugify } = require("./links");
+
+// ((text)) or ((text|Term)), as written in the guide
+const MARKER = /\(\(((?:\\.|[^)|\\])+)(?:\|([^)|]+))?\)\)/g;
+
+// Characters an index term can't contain: Word's XE fields use quotes and
+// colons for sub-entries, and the rest would end the marker
+const RESERVED = /["():|]/;
+
+/**
+ * Load the glossary. Each term's id, "glossary-" and its slug, is what the
+ * renderers use as the anchor of its entry.
+ *
+ * @param {string} file - guide/glossary.json
+ * @returns {{file: string, terms: {term: string, definition: string, id: string}[]}}
+ */
+function loadGlossary(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+  const terms = Object.entries(data.terms ?? {}).map(([term, definition]) => {
+    if (RESERVED.test(term)) throw new Error(`${file}: the term "${term}" can't contain quotes, colons, brackets or "|"`);
+    if (typeof definition !== "string" || !definition.trim()) throw new Error(`${file}: the term "${term}" has no definition`);
+    return { term, definition, id: `glossary-${slugify(term)}` };
+  });
+  const seen = new Set();
+  for (const { term } of terms) {
+    if (seen.has(term.toLowerCase())) throw new Error(`${file}: the term "${term}" is defined twice`);
+    seen.add(term.toLowerCase());
+  }
+  return { file, terms };
+}
+
+/** The glossary's entries as paragraphs, "**Term** — definition", in the edition's alphabetical order. */
+function glossaryBlocks(glossary, { t, locale }) {
+  return glossary.terms
+    .map((entry) => ({ ...entry, term: t(entry.term) }))
+    .sort((a, b) => a.term.localeCompare(b.term, locale, { sensitivity: "base" }))
+    .map((entry) => ({ type: "paragraph", text: `**${entry.term}** — ${t(entry.definition)}`, id: entry.id }));
+}
+
+/**
+ * Resolve the index terms marked in body text. Each marker is rewritten to
+ * ((text|Term)) with the term as the edition spells it, and the first use of
+ * each term in the guide to ((text|Term|id)), a link to its glossary entry.
+ * Terms match the glossary whatever their case; an unknown term, one marked
+ * in a heading, or a translation of a term with a character the index can't
+ * take (see RESERVED) stops the build.
+ *
+ * @param {object[]} blocks - Guide blocks after linkGuide().
+ * @param {object} glossary - From loadGlossary().
+ * @param {object} context
+ * @param {function(string): string} context.t - Translates a term into the edition's language.
+ * @param {function(object): string} context.where - "file:line" of a block, for errors.
+ * @param {?string} [context.catalogFile] - The edition's translation catalog, for errors.
+ * @returns {{blocks: object[], marked: string[], unmarked: string[]}} Copies of the blocks, and the
+ *   glossary's English terms that are marked in the guide and that aren't.
+ */
+function linkTerms(blocks, glossary, { t, where, catalogFile = null }) {
+  const byName = new Map(glossary.terms.map((entry) => [entry.term.toLowerCase(), entry]));
+  const linked = new Set();
+
+  /** The term as the edition spells it, which the Word index field quotes as it is. */
+  const spelling = (entry) => {
+    const term = t(entry.term);
+    if (RESERVED.test(term)) {
+      const file = catalogFile ?? glossary.file;
+      throw new Error(`${file}: the translation of the term "${entry.term}", "${term}", can't contain quotes, colons, brackets or "|"`);
+    }
+    return term;
+  };
+
+  const resolve = (text, block) => text.replace(MARKER, (match, words, name) => {
+    const term = name ?? words.replace(/\\(.)/g, "$1");
+    const entry = byName.get(term.toLowerCase());
+    if (!entry) throw new Error(`${where(block)}: index term ${match} is not in ${path.basename(glossary.file)}`);
+    if (linked.has(entry)) return `((${words}|${spelling(entry)}))`;
+    linked.add(entry);
+    return `((${words}|${spelling(entry)}|${entry.id}))`;
+  });
+
+  const resolved = blocks.map((block) => {
+    if (block.type === "screenshot") return block;
+    if (block.type === "heading") {
+      if (new RegExp(MARKER.source).test(block.text)) throw new Error(`${where(block)}: headings can't mark index terms`);
+      return block;
+    }
+    return mapInlineText(block, (text) => resolve(text, block));
+  });
+  return {
+    blocks: resolved,
+    marked: glossary.terms.filter((entry) => linked.has(entry)).map((entry) => entry.term),
+    unmarked: glossary.terms.filter((entry) => !linked.has(entry)).map((entry) => entry.term),
+  };
+}
+
+module.exports = { loadGlossary, glossaryBlocks, linkTerms };
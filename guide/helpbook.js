@@ -0,0 +1,245 @@
+// guide/helpbook.js — Render the guide as an Apple Help Book
+//
+// A Help Book is a folder the app ships in Contents/Resources and names in
+// its Info.plist (CFBundleHelpBookFolder, CFBundleHelpBookName), so the
+// guide opens in Help Viewer:
+//
+//   HushType.help/Contents/Info.plist
+//   HushType.help/Contents/Resources/<locale>.lproj/
+//     index.html           title and contents; the page the book opens on
+//     pages/<id>.html      one page per chapter
+//     images/              the logo and screenshots
+//     help.css
+//     InfoPlist.strings    the book's title in that language
+//
+// Every heading has an <a name> anchor with the id it has in the other
+// formats, so the app can open a section with
+// NSHelpManager.shared.openHelpAnchor("microphone-access", inBook: …). Each
+// page has keywords (its headings and the index terms marked on it) and a
+// description (its first paragraph) for Help Viewer's search. The search
+// index itself is made on macOS by hiutil, which build-app.sh runs;
+// everything here is plain files.
+
+const path = require("path");
+const { parseInline, mapInlineText } = require("./inline");
+const { splitChapters } = require("./links");
+const { blocksHtml, inline, escapeHtml, stylesheet } = require("./html");
+
+// The Core Spotlight search index hiutil writes into each .lproj folder
+const SEARCH_INDEX = "HushType.cshelpindex";
+
+/** Markup as plain text, for meta tags. */
+function plainText(markup) {
+  return parseInline(markup).map((run) => run.text).join("");
+}
+
+/** The index terms marked in `blocks` (see guide/glossary.js), each once. */
+function indexTerms(blocks) {
+  const terms = new Set();
+  for (const block of blocks) {
+    mapInlineText(block, (text) => {
+      for (const run of parseInline(text)) if (run.index) terms.add(run.index);
+      return text;
+    });
+  }
+  return [...terms];
+}
+
+/** Escape text for a plist <string> or an InfoPlist.strings value. */
+function escapeXml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/**
+ * The Help Book's Contents/Info.plist.
+ *
+ * @param {object} book
+ * @param {string} book.identifier - The book's bundle identifier, which the app's CFBundleHelpBookName names.
+ * @param {string} book.title - Its English title (each .lproj translates it in InfoPlist.strings).
+ * @param {string} book.version - e.g. "1.41"
+ * @param {string} book.build - e.g. "141"
+ * @param {string} book.developmentRegion - The language Help Viewer falls back to, e.g. "en".
+ * @returns {string}
+ */
+function helpInfoPlist(book) {
+  const entries = {
+    CFBundleDevelopmentRegion: book.developmentRegion,
+    CFBundleIdentifier: book.identifier,
+    CFBundleInfoDictionaryVersion: "6.0",
+    CFBundleName: book.title,
+    CFBundlePackageType: "BNDL",
+    CFBundleShortVersionString: book.version,
+    CFBundleSignature: "hbwr",
+    CFBundleVersion: book.build,
+    HPDBookAccessPath: "index.html",
+    HPDBookCSIndexPath: SEARCH_INDEX,
+    HPDBookTitle: book.title,
+    HPDBookType: "3",
+  };
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+${Object.entries(entries).map(([key, value]) => `\t<key>${key}</key>\n\t<string>${escapeXml(value)}</string>`).join("\n")}
+</dict>
+</plist>
+`;
+}
+
+/**
+ * Render one edition's pages: the files of its .lproj folder.
+ *
+ * @param {object[]} blocks - Guide blocks after linkGuide().
+ * @param {object} options
+ * @param {string} options.title - The book's title in this language.
+ * @param {string} options.version - Version line on the contents page.
+ * @param {string} options.tagline - Subtitle on the contents page.
+ * @param {string[]} options.footerLines - Lines at the foot of the contents page.
+ * @param {object} options.labels - Translated interface text (contents, sectionLink, screenshot template).
+ * @param {string} options.lang - Language code of the text.
+ * @param {string} options.direction - "ltr" or "rtl".
+ * @param {?{data: Buffer, file: string, width: number, height: number}} options.logo - Title logo, or null.
+ * @param {function({caption: string, source?: string}): ?{data: Buffer, file: string, width: number, height: number}} options.loadScreenshot
+ * @param {object} options.style - As for renderHtml().
+ * @returns {{file: string, data: (string|Buffer)}[]} Paths relative to the .lproj folder.
+ */
+function renderHelpPages(blocks, options) {
+  const rtl = options.direction === "rtl";
+  const images = new Map();
+
+  /** Copy an image into images/ and return its src from a page in `from` ("" or "pages/"). */
+  function imageSrc(img, from) {
+    const file = `images/${path.basename(img.file)}`;
+    images.set(file, img.data);
+    return (from ? "../" : "") + file;
+  }
+
+  // One page per chapter; anything before the first goes on the contents page
+  const split = splitChapters(blocks);
+  const intro = split.intro;
+  const chapters = split.chapters.map((chapter) => ({ ...chapter, file: `pages/${chapter.heading.id}.html` }));
+  const pageOf = new Map();
+  for (const chapter of chapters) {
+    for (const block of chapter.blocks) if (block.id) pageOf.set(block.id, chapter.file);
+  }
+
+  /** Blocks as HTML for a page at `page` (a path in the .lproj folder). */
+  const body = (list, page) => blocksHtml(list, {
+    labels: options.labels,
+    namedAnchors: true,
+    refHref: (id) => {
+      const target = pageOf.get(id) ?? "index.html";
+      if (target === page) return `#${id}`;
+      return `${page.startsWith("pages/") ? "../" : ""}${target}#${id}`;
+    },
+    resolveScreenshot: (shot) => {
+      const img = options.loadScreenshot(shot);
+      return img && { src: imageSrc(img, page.startsWith("pages/")), width: img.width, height: img.height, description: img.description };
+    },
+  }).join("\n");
+
+  /** A complete page. */
+  const page = ({ title, keywords, description, css, head = "", content }) => `<!DOCTYPE html>
+<html lang="${escapeHtml(options.lang)}" dir="${options.direction}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="anchors">
+${head}  <meta name="keywords" content="${escapeHtml(keywords.join(", "))}">
+  <meta name="description" content="${escapeHtml(description)}">
+  <title>${escapeHtml(title)}</title>
+  <link rel="stylesheet" href="${css}">
+</head>
+<body>
+${content}
+</body>
+</html>
+`;
+
+  const files = [];
+
+  // --- Contents page ---
+  const contents = chapters.map((chapter) => {
+    const sections = chapter.blocks.filter((b) => b.type === "heading" && b.level === 2);
+    const link = (heading, href) => `<a href="${escapeHtml(href)}">${inline(heading.text.replace(/\*\*/g, ""))}</a>`;
+    const list = sections.length
+      ? `\n      <ul>\n${sections.map((s) => `        <li>${link(s, `${chapter.file}#${s.id}`)}</li>`).join("\n")}\n      </ul>\n    `
+      : "";
+    return `    <li>${link(chapter.heading, chapter.file)}${list}</li>`;
+  });
+  const logo = options.logo
+    ? `<img src="${escapeHtml(imageSrc(options.logo, false))}" alt="HushType" width="${options.logo.width}" height="${options.logo.height}">`
+    : "<h1>HushType</h1>";
+  files.push({
+    file: "index.html",
+    data: page({
+      title: options.title,
+      head: `  <meta name="AppleTitle" content="${escapeHtml(options.title)}">\n`,
+      keywords: ["HushType", ...chapters.map((c) => plainText(c.heading.text))],
+      description: options.tagline,
+      css: "help.css",
+      content: `<main>
+  <header class="title">
+    ${logo}
+    <p>${escapeHtml(options.title)}</p>
+    <p class="tagline">${escapeHtml(options.tagline)}</p>
+    <p class="version">${escapeHtml(options.version)}</p>
+  </header>
+${body(intro, "index.html")}
+  <nav class="contents" aria-label="${escapeHtml(options.labels.contents)}">
+  <h2>${escapeHtml(options.labels.contents)}</h2>
+  <ul>
+${contents.join("\n")}
+  </ul>
+  </nav>
+  <footer>
+${options.footerLines.map((line) => `    <p>${escapeHtml(line)}</p>`).join("\n")}
+  </footer>
+</main>`,
+    }),
+  });
+
+  // --- One page per chapter, with links to the contents and the chapters either side ---
+  const [back, forward] = rtl ? ["\u2192", "\u2190"] : ["\u2190", "\u2192"];
+  chapters.forEach((chapter, n) => {
+    const title = (c) => escapeHtml(plainText(c.heading.text));
+    const prev = chapters[n - 1];
+    const next = chapters[n + 1];
+    const pager = [
+      `<a href="../index.html">${escapeHtml(options.labels.contents)}</a>`,
+      prev ? `<a href="${prev.heading.id}.html" rel="prev">${back} ${title(prev)}</a>` : "",
+      next ? `<a href="${next.heading.id}.html" rel="next">${title(next)} ${forward}</a>` : "",
+    ].filter(Boolean).join("\n  ");
+    const firstParagraph = chapter.blocks.find((b) => b.type === "paragraph");
+    files.push({
+      file: chapter.file,
+      data: page({
+        title: `${plainText(chapter.heading.text)} \u2014 ${options.title}`,
+        keywords: [...new Set([
+          ...chapter.blocks.filter((b) => b.type === "heading").map((b) => plainText(b.text)),
+          ...indexTerms(chapter.blocks),
+        ])],
+        description: firstParagraph ? plainText(firstParagraph.text) : plainText(chapter.heading.text),
+        css: "../help.css",
+        content: `<nav class="pager">\n  ${pager}\n</nav>\n<main>\n${body(chapter.blocks, chapter.file)}\n</main>\n<nav class="pager">\n  ${pager}\n</nav>`,
+      }),
+    });
+  });
+
+  files.push(
+    {
+      file: "help.css",
+      data: `${stylesheet(options.style)}
+    main { max-width: 820px; margin: 0 auto; }
+    nav.pager { position: static; max-height: none; display: flex; gap: 1.5rem; max-width: 820px; margin: 0 auto; padding: 0.75rem 1.5rem; }
+    nav.contents { position: static; max-height: none; padding: 0; font-size: 1rem; }
+    nav.contents ul ul { padding-inline-start: 1.2rem; }
+`,
+    },
+    { file: "InfoPlist.strings", data: `"HPDBookTitle" = "${options.title.replace(/["\\]/g, "\\$&")}";\n` },
+    ...[...images].map(([file, data]) => ({ file, data }))
+  );
+  return files;
+}
+
+module.exports = { renderHelpPages, helpInfoPlist };
@@ -0,0 +1,278 @@
+// guide/html.js — Render the parsed user guide as a static web page
+//
+// Used by create-guide.js for `--format html`. The page is written to
+// docs/guide/index.html so the guide can be read on GitHub Pages; images are
+// referenced in place from docs/screenshots/ rather than copied. The Help
+// Book pages (guide/helpbook.js) and the EPUB (guide/epub.js) are made from
+// the same pieces.
+
+const { parseInline } = require("./inline");
+const { tableOfContents } = require("./links");
+const { formatMessage } = require("./i18n");
+
+/** Escape text for use in HTML content and attribute values. */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/** Render one run's text with its character styles. */
+function runHtml(run) {
+  let html = escapeHtml(run.text);
+  if (run.code) html = `<code>${html}</code>`;
+  if (run.key) html = `<kbd>${html}</kbd>`;
+  if (run.italics) html = `<em>${html}</em>`;
+  if (run.bold) html = `<strong>${html}</strong>`;
+  if (run.menu) html = `<span class="menu">${html}</span>`;
+  return html;
+}
+
+/** A cross-reference's href on a single page: the heading's anchor. */
+const samePage = (id) => `#${id}`;
+
+/** The href a run links to, if any; `refHref` turns a heading id into a link. */
+function linkOf(run, refHref) {
+  return run.href ?? (run.ref ? refHref(run.ref) : null);
+}
+
+/**
+ * Render inline markup (see guide/inline.js) as HTML, escaping everything
+ * else. Cross-references link to `refHref(id)` (default: "#id").
+ */
+function inline(text, refHref = samePage) {
+  const runs = parseInline(text);
+  let html = "";
+  for (let i = 0; i < runs.length;) {
+    // One <a> around consecutive runs of the same link, e.g. [**a** b](url)
+    const href = linkOf(runs[i], refHref);
+    let j = i + 1;
+    if (href) while (j < runs.length && linkOf(runs[j], refHref) === href) j++;
+    const inner = runs.slice(i, j).map(runHtml).join("");
+    html += href ? `<a href="${escapeHtml(href)}">${inner}</a>` : inner;
+    i = j;
+  }
+  return html;
+}
+
+/** Nested contents list: each chapter with its sections. */
+function contentsList(blocks) {
+  const chapters = [];
+  for (const entry of tableOfContents(blocks)) {
+    if (entry.level === 1 || chapters.length === 0) chapters.push({ ...entry, sections: [] });
+    else chapters[chapters.length - 1].sections.push(entry);
+  }
+  const link = (entry) => `<a href="#${entry.id}">${escapeHtml(entry.title)}</a>`;
+  return chapters.map((chapter) => {
+    const sections = chapter.sections.length
+      ? `\n        <ul>\n${chapter.sections.map((s) => `          <li>${link(s)}</li>`).join("\n")}\n        </ul>\n      `
+      : "";
+    return `      <li>${link(chapter)}${sections}</li>`;
+  }).join("\n");
+}
+
+function stylesheet(style) {
+  const [h1, h2, h3] = style.headings;
+  const heading = (h) => `font-size: ${(h.size * 1.1).toFixed(2)}rem; color: #${h.color}; font-weight: ${h.bold ? "bold" : "normal"};`;
+  return `
+    :root { --brand: #${style.brandBlue}; --dark: #${style.darkBlue}; --text: #${style.textColor}; --muted: #${style.mutedColor}; }
+    * { box-sizing: border-box; }
+    body { margin: 0; font-family: "${style.font}", -apple-system, "Helvetica Neue", sans-serif; color: var(--text); line-height: 1.55; }
+    .layout { display: flex; max-width: 1100px; margin: 0 auto; }
+    nav { flex: 0 0 230px; position: sticky; top: 0; align-self: flex-start; max-height: 100vh; overflow-y: auto; padding: 2rem 1rem; font-size: 0.9rem; }
+    nav ul { list-style: none; margin: 0; padding: 0; }
+    nav ul ul { padding-inline-start: 0.9rem; font-size: 0.85rem; }
+    nav li { margin: 0.35rem 0; }
+    nav a { color: var(--text); text-decoration: none; }
+    nav a:hover { color: var(--brand); }
+    main { flex: 1; min-width: 0; padding: 2rem 1.5rem 4rem; }
+    header.title { text-align: center; margin-bottom: 2.5rem; }
+    header.title img { max-width: min(100%, 450px); height: auto; }
+    header.title .tagline { font-style: italic; color: var(--muted); margin: 0.25rem 0; }
+    header.title .version { color: var(--muted); margin: 0.25rem 0; }
+    h1, h2, h3 { scroll-margin-top: 1rem; }
+    h1 { ${heading(h1)} margin-top: 2.5rem; }
+    h2 { ${heading(h2)} margin-top: 1.8rem; }
+    h3 { ${heading(h3)} }
+    h1 a.anchor, h2 a.anchor, h3 a.anchor { visibility: hidden; margin-inline-start: 0.4rem; color: var(--muted); text-decoration: none; }
+    h1:hover a.anchor, h2:hover a.anchor, h3:hover a.anchor { visibility: visible; }
+    figure { margin: 1.25rem 0; text-align: center; }
+    figure img { max-width: 100%; height: auto; }
+    figcaption { font-size: 0.85rem; font-style: italic; color: var(--muted); margin-top: 0.25rem; }
+    .placeholder { border-top: 1px solid #ccc; border-bottom: 1px solid #ccc; padding: 0.75rem; font-style: italic; color: var(--muted); }
+    ol.steps > li { margin: 0.4rem 0; }
+    ol.steps:not([type]) > li::marker { font-weight: bold; }
+    .callout { border: 1px solid; border-radius: 4px; padding: 0.6rem 0.9rem; margin: 1rem 0; }
+    .callout.tip { background: #${style.tipBg}; border-color: #${style.tipBorder}; }
+    .callout.warning { background: #${style.warningBg}; border-color: #${style.warningBorder}; }
+    code { font-family: Menlo, "${style.codeFont}", monospace; font-size: 0.9em; background: #${style.codeBg}; padding: 0 0.2em; border-radius: 2px; }
+    kbd { font-family: inherit; font-size: 0.85em; background: #${style.keyBg}; border: 1px solid #${style.keyBorder}; border-radius: 3px; padding: 0 0.35em; box-shadow: inset 0 -1px 0 #${style.keyBorder}; }
+    .menu { font-weight: bold; color: var(--dark); }
+    .table-wrap { overflow-x: auto; }
+    table { border-collapse: collapse; width: 100%; margin: 1rem 0; }
+    th, td { border: 1px solid #${style.tableBorder}; padding: 0.4rem 0.6rem; text-align: start; vertical-align: top; }
+    th { background: #${style.tableHeaderBg}; }
+    footer { margin-top: 3rem; text-align: center; font-size: 0.8rem; color: var(--muted); }
+    @media (max-width: 760px) {
+      .layout { display: block; }
+      nav { position: static; padding-bottom: 0; }
+    }
+  `;
+}
+
+/**
+ * Render guide blocks as HTML elements, one string per block.
+ *
+ * @param {object[]} blocks - Guide blocks after linkGuide().
+ * @param {object} options
+ * @param {object} options.labels - Translated interface text (sectionLink, or null for no "#" links; screenshot template).
+ * @param {function({caption: string, source?: string}): ?{src: string, width: number, height: number, description: ?string}} options.resolveScreenshot
+ *   The image for a screenshot, with its long description (alt text; the caption when null).
+ * @param {function(string): string} [options.refHref] - The href of a cross-reference to a heading or glossary entry id (default: "#id").
+ * @param {boolean} [options.namedAnchors] - Put an <a name> before each heading, for Help Viewer anchor lookups.
+ * @param {boolean} [options.xhtml] - Close empty elements XML-style, for EPUB.
+ * @param {function(object): ?string} [options.after] - HTML to follow a block, e.g. the preview's notes on it.
+ * @returns {string[]}
+ */
+function blocksHtml(blocks, options) {
+  const out = [];
+  const refHref = options.refHref ?? samePage;
+  const text = (markup) => inline(markup, refHref);
+  // Empty elements end in "/>" in XHTML, which has no lazy loading either
+  const close = options.xhtml ? " />" : ">";
+  const lazy = options.xhtml ? "" : ' loading="lazy"';
+
+  /** A screenshot figure, or its placeholder when the image is missing. The alt text describes the image; the caption only names it. */
+  function figure(shot) {
+    const img = options.resolveScreenshot(shot);
+    const caption = escapeHtml(shot.caption);
+    return img
+      ? `<figure>\n  <img src="${escapeHtml(img.src)}" alt="${escapeHtml(img.description ?? shot.caption)}" width="${img.width}" height="${img.height}"${lazy}${close}\n  <figcaption>${caption}</figcaption>\n</figure>`
+      : `<figure class="placeholder">${escapeHtml(formatMessage(options.labels.screenshot, { caption: shot.caption }))}</figure>`;
+  }
+
+  /** A numbered procedure; sub-steps are lettered. */
+  function stepList(steps, level = 0) {
+    const items = steps.map((step) => {
+      const parts = [text(step.text)];
+      if (step.steps.length) parts.push(stepList(step.steps, level + 1));
+      if (step.screenshot) parts.push(figure(step.screenshot));
+      return `  <li>${parts.join("\n")}</li>`;
+    });
+    return `<ol class="steps"${level ? ' type="a"' : ""}>\n${items.join("\n")}\n</ol>`;
+  }
+
+  for (const block of blocks) {
+    switch (block.type) {
+      case "heading": {
+        const anchor = options.namedAnchors ? `<a name="${block.id}"></a>\n` : "";
+        // No "#" link when labels.sectionLink is null
+        const link = options.labels.sectionLink === null
+          ? ""
+          : `<a class="anchor" href="#${block.id}" aria-label="${escapeHtml(options.labels.sectionLink)}">#</a>`;
+        out.push(`${anchor}<h${block.level} id="${block.id}">${text(block.text)}${link}</h${block.level}>`);
+        break;
+      }
+      case "paragraph": {
+        // Glossary entries have an id that their terms link to
+        const id = block.id ? ` id="${block.id}"` : "";
+        out.push(block.italics ? `<p${id}><em>${text(block.text)}</em></p>` : `<p${id}>${text(block.text)}</p>`);
+        break;
+      }
+      case "list":
+        out.push(`<ul>\n${block.items.map((item) => `  <li>${text(item)}</li>`).join("\n")}\n</ul>`);
+        break;
+      case "steps":
+        out.push(stepList(block.steps));
+        break;
+      case "callout":
+        out.push(`<aside class="callout ${block.kind}" role="note">${text(block.text)}</aside>`);
+        break;
+      case "screenshot":
+        out.push(figure(block));
+        break;
+      case "table": {
+        const [header, ...rows] = block.rows;
+        const weights = block.widths && block.widths.length === header.length ? block.widths : null;
+        const total = weights ? weights.reduce((a, b) => a + b, 0) : 0;
+        const cols = weights
+          ? `  <colgroup>${weights.map((w) => `<col style="width: ${((w / total) * 100).toFixed(1)}%"${close}`).join("")}</colgroup>\n`
+          : "";
+        out.push(
+          `<div class="table-wrap"><table>\n${cols}` +
+          `  <thead><tr>${header.map((cell) => `<th scope="col">${text(cell)}</th>`).join("")}</tr></thead>\n` +
+          `  <tbody>\n${rows.map((row) => `    <tr>${row.map((cell) => `<td>${text(cell)}</td>`).join("")}</tr>`).join("\n")}\n  </tbody>\n` +
+          "</table></div>"
+        );
+        break;
+      }
+    }
+    const extra = options.after?.(block);
+    if (extra) out.push(extra);
+  }
+  return out;
+}
+
+/**
+ * Render guide blocks to a standalone HTML page.
+ *
+ * @param {object[]} blocks - Guide blocks after linkGuide().
+ * @param {object} options
+ * @param {string} options.title - Document title.
+ * @param {string} options.version - Version line under the title.
+ * @param {string} options.tagline - Subtitle under "User Guide".
+ * @param {string[]} options.footerLines - Lines in the page footer.
+ * @param {object} options.labels - Translated interface text (userGuide, contents, sectionLink, screenshot template).
+ * @param {string} options.lang - Language code of the text.
+ * @param {string} options.direction - "ltr" or "rtl".
+ * @param {?{src: string, width: number, height: number}} options.logo - Title logo, or null.
+ * @param {function({caption: string, source?: string}): ?{src: string, width: number, height: number, description: ?string}} options.resolveScreenshot
+ * @param {object} options.style - Colours, font families and heading styles (sizes relative to the body text).
+ * @param {string} [options.head] - More HTML for the <head>.
+ * @param {string} [options.banner] - HTML above the title, e.g. the preview's notes on the whole build.
+ * @param {function(object): ?string} [options.after] - As for blocksHtml().
+ * @returns {string}
+ */
+function renderHtml(blocks, options) {
+  const out = blocksHtml(blocks, options);
+
+  const logo = options.logo
+    ? `<img src="${escapeHtml(options.logo.src)}" alt="HushType" width="${options.logo.width}" height="${options.logo.height}">`
+    : "<h1>HushType</h1>";
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(options.lang)}" dir="${options.direction}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(options.title)}</title>
+  <style>${stylesheet(options.style)}</style>
+${options.head ?? ""}</head>
+<body>
+<div class="layout">
+  <nav aria-label="${escapeHtml(options.labels.contents)}">
+    <ul>
+${contentsList(blocks)}
+    </ul>
+  </nav>
+  <main>
+${options.banner ?? ""}    <header class="title">
+      ${logo}
+      <p>${escapeHtml(options.labels.userGuide)}</p>
+      <p class="tagline">${escapeHtml(options.tagline)}</p>
+      <p class="version">${escapeHtml(options.version)}</p>
+    </header>
+${out.join("\n")}
+    <footer>
+${options.footerLines.map((line) => `      <p>${escapeHtml(line)}</p>`).join("\n")}
+    </footer>
+  </main>
+</div>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderHtml, blocksHtml, inline, escapeHtml, stylesheet };
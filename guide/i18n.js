@@ -0,0 +1,146 @@
+// guide/i18n.js — Localized editions of the guide
+//
+// Translations live in guide/locales/<locale>.json:
+//
+//   { "language": "Deutsch", "messages": { "Contents": "Inhalt", … } }
+//
+// Each key is English text exactly as it appears in guide/user-guide.md — one
+// per heading, paragraph, list item, step, callout, screenshot caption and
+// table cell, with its markup and {{placeholders}} — or one of the interface
+// strings guide/build.js asks for (title page, page footer, release history).
+// Cross-references keep their English target, e.g. "[[Automatic Updates]]";
+// the link shows the translated heading. Text with no translation stays in
+// English and is listed in a report, so a catalog can be filled in gradually
+// and entries go stale visibly when the English changes.
+
+const fs = require("fs");
+const path = require("path");
+const { mapInlineText } = require("./inline");
+
+// Languages written right to left
+const RTL_LANGUAGES = ["ar", "he", "fa", "ur"];
+
+/**
+ * Load the catalog for `locale`. English needs no catalog.
+ *
+ * @param {string} localesDir - guide/locales
+ * @param {string} locale - e.g. "de" or "pt-BR"
+ * @returns {{locale: string, language: string, direction: string, file: ?string, messages: Object<string, string>, missing: object[], used: Set<string>}}
+ */
+function loadCatalog(localesDir, locale) {
+  const catalog = { locale, language: "English", direction: "ltr", file: null, messages: {}, missing: [], used: new Set() };
+  if (locale === "en") return catalog;
+
+  const file = path.join(localesDir, `${locale}.json`);
+  if (!fs.existsSync(file)) throw new Error(`no translation catalog for "${locale}" (expected ${file})`);
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+  return {
+    ...catalog,
+    file,
+    language: data.language ?? locale,
+    direction: RTL_LANGUAGES.includes(locale.split("-")[0]) ? "rtl" : "ltr",
+    messages: data.messages ?? {},
+  };
+}
+
+/** The locales with a catalog in `localesDir`, English first. */
+function listLocales(localesDir) {
+  const codes = fs.readdirSync(localesDir).filter((f) => f.endsWith(".json")).map((f) => path.basename(f, ".json"));
+  return ["en", ...codes.sort()];
+}
+
+/**
+ * Translate `text`. Missing translations fall back to English and are
+ * recorded with their source line (null for interface strings). Text with no
+ * letters in it, like "—" or "39M", is never looked up.
+ */
+function translate(catalog, text, line = null) {
+  if (catalog.locale === "en" || !/\p{L}/u.test(text)) return text;
+  if (Object.hasOwn(catalog.messages, text)) {
+    catalog.used.add(text);
+    return catalog.messages[text];
+  }
+  if (!catalog.missing.some((m) => m.text === text)) catalog.missing.push({ text, line });
+  return text;
+}
+
+/** Fill {name} parameters into a message. */
+function formatMessage(message, params = {}) {
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Translate the parsed guide source. Headings and screenshots keep their
+ * English text as `source`, which links and screenshot lookups go by.
+ */
+function translateGuide(blocks, catalog) {
+  if (catalog.locale === "en") return blocks;
+  return blocks.map((block) => {
+    const t = (text) => translate(catalog, text, block.line);
+    const translateSteps = (steps) => steps.map((step) => ({
+      ...step,
+      text: t(step.text),
+      steps: translateSteps(step.steps),
+      screenshot: step.screenshot && { caption: t(step.screenshot.caption), source: step.screenshot.caption },
+    }));
+    switch (block.type) {
+      case "heading":
+        return { ...block, text: t(block.text), source: block.text };
+      case "screenshot":
+        return { ...block, caption: t(block.caption), source: block.caption };
+      case "steps":
+        return { ...block, steps: translateSteps(block.steps) };
+      case "generated":
+        return block;
+      default:
+        return mapInlineText(block, t);
+    }
+  });
+}
+
+/**
+ * Translate the cells of generated tables where the catalog has them. Most
+ * cells are names from the app (models, languages), so the rest are not
+ * reported as missing.
+ */
+function translateTables(blocks, catalog) {
+  const cell = (text) => {
+    if (!Object.hasOwn(catalog.messages, text)) return text;
+    catalog.used.add(text);
+    return catalog.messages[text];
+  };
+  return blocks.map((block) => (block.type === "table" ? { ...block, rows: block.rows.map((row) => row.map(cell)) } : block));
+}
+
+/** A Markdown report of untranslated and unused strings, or null when there are none. */
+function missingReport(catalog, sourceFile) {
+  const unused = Object.keys(catalog.messages).filter((text) => !catalog.used.has(text) && !catalog.missing.some((m) => m.text === text));
+  if (catalog.missing.length === 0 && unused.length === 0) return null;
+
+  const quote = (text) => `\`${text.replace(/`/g, "'")}\``;
+  const lines = [`# Untranslated strings: ${catalog.language} (${catalog.locale})`, ""];
+  if (catalog.missing.length) {
+    lines.push(
+      `${catalog.missing.length} strings fall back to English. Add them to ${path.basename(catalog.file)}:`,
+      "",
+      ...catalog.missing.map((m) => `- ${m.line ? `${sourceFile}:${m.line}` : "(interface)"}: ${quote(m.text)}`),
+      ""
+    );
+  }
+  if (unused.length) {
+    lines.push(
+      `${unused.length} translations match no English text (it may have changed):`,
+      "",
+      ...unused.map((text) => `- ${quote(text)}`),
+      ""
+    );
+  }
+  return lines.join("\n");
+}
+
+module.exports = { loadCatalog, listLocales, translate, formatMessage, translateGuide, translateTables, missingReport };
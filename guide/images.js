@@ -0,0 +1,312 @@
+// guide/images.js — Reading screenshot and logo images
+//
+// The guide embeds PNG, JPEG and GIF files. readImage() reads their pixel
+// dimensions and resolution from the file itself (PNG pHYs, JPEG JFIF
+// density) so an image can be laid out at its size in points, the way it
+// looks on screen: a 1320-pixel Retina capture saved at 144 dpi is 660 points
+// wide. A file named name@2x.png is taken to be drawn at 2 pixels per point
+// whatever it says, and findImage() prefers it to name.png.
+//
+// decodePng() and encodePng() convert between PNG files and RGBA pixels so
+// screenshots can be annotated (see guide/annotate.js) without native code.
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { crc32 } = require("./zip");
+
+const IMAGE_EXTENSIONS = [".png", ".jpg", ".jpeg", ".gif"];
+
+// Screen resolution that maps one pixel to one point
+const POINT_DPI = 72;
+
+/** The @2x-style scale in a file name, e.g. 2 for "settings@2x.png", or null. */
+function scaleSuffix(file) {
+  const m = /@(\d+(?:\.\d+)?)x\.[^.]+$/i.exec(path.basename(file));
+  return m ? Number(m[1]) : null;
+}
+
+/** "settings@2x.png" → "settings.png". */
+function baseName(file) {
+  return path.basename(file).replace(/@\d+(?:\.\d+)?x(\.[^.]+)$/i, "$1");
+}
+
+/** Width, height and dpi (null when not recorded) of a PNG. */
+function pngInfo(data) {
+  const info = { width: data.readUInt32BE(16), height: data.readUInt32BE(20), dpi: null };
+  // Walk the chunks up to the image data looking for pHYs
+  for (let at = 8; at + 8 <= data.length;) {
+    const length = data.readUInt32BE(at);
+    const type = data.toString("latin1", at + 4, at + 8);
+    if (type === "IDAT" || type === "IEND") break;
+    if (type === "pHYs" && length >= 9 && data[at + 16] === 1) {
+      // Pixels per metre; 5669 is 144 dpi
+      info.dpi = Math.round(data.readUInt32BE(at + 8) * 0.0254);
+    }
+    at += length + 12;
+  }
+  return info;
+}
+
+/** Width, height and dpi (null when not recorded) of a JPEG. */
+function jpegInfo(data) {
+  let dpi = null;
+  for (let at = 2; at + 4 <= data.length;) {
+    if (data[at] !== 0xFF) break;
+    const marker = data[at + 1];
+    if (marker === 0xFF) {
+      at++;
+      continue;
+    }
+    const length = data.readUInt16BE(at + 2);
+    // APP0 "JFIF": density units (1 = per inch, 2 = per cm), then x density
+    if (marker === 0xE0 && data.toString("latin1", at + 4, at + 9) === "JFIF\0") {
+      const units = data[at + 11];
+      const density = data.readUInt16BE(at + 12);
+      if (units === 1) dpi = density;
+      if (units === 2) dpi = density * 2.54;
+    }
+    // Start-of-frame markers carry the size; C4, C8 and CC are other tables
+    if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+      return { width: data.readUInt16BE(at + 7), height: data.readUInt16BE(at + 5), dpi };
+    }
+    at += 2 + length;
+  }
+  return null;
+}
+
+/** Width and height of a GIF, which records no resolution. */
+function gifInfo(data) {
+  return { width: data.readUInt16LE(6), height: data.readUInt16LE(8), dpi: null };
+}
+
+/**
+ * Read an image file.
+ *
+ * @param {string} file - A PNG, JPEG or GIF file.
+ * @returns {{data: Buffer, type: string, file: string, pixels: {width: number, height: number}, width: number, height: number}}
+ *   `type` is "png", "jpg" or "gif"; `width` and `height` are in points.
+ */
+function readImage(file) {
+  const data = fs.readFileSync(file);
+  let type;
+  let info = null;
+  if (data.length > 24 && data.toString("latin1", 1, 4) === "PNG") {
+    type = "png";
+    info = pngInfo(data);
+  } else if (data.length > 4 && data[0] === 0xFF && data[1] === 0xD8) {
+    type = "jpg";
+    info = jpegInfo(data);
+  } else if (data.length > 10 && /^GIF8[79]a$/.test(data.toString("latin1", 0, 6))) {
+    type = "gif";
+    info = gifInfo(data);
+  }
+  if (!info || !info.width || !info.height) throw new Error(`${file}: not a PNG, JPEG or GIF image`);
+
+  const scale = scaleSuffix(file) ?? (info.dpi ? info.dpi / POINT_DPI : 1);
+  return {
+    data,
+    type,
+    file,
+    pixels: { width: info.width, height: info.height },
+    width: info.width / scale,
+    height: info.height / scale,
+  };
+}
+
+/** The first of name@2x.ext or name.ext found in `folders`, in order, or null. */
+function findImage(folders, filename) {
+  const ext = path.extname(filename);
+  const retina = `${filename.slice(0, -ext.length)}@2x${ext}`;
+  for (const dir of folders) {
+    const found = [retina, filename].map((name) => path.join(dir, name)).find((file) => fs.existsSync(file));
+    if (found) return found;
+  }
+  return null;
+}
+
+/** Scale a size in points down (never up) to fit within `maxWidth` × `maxHeight`. */
+function fitImage(image, maxWidth, maxHeight) {
+  const scale = Math.min(maxWidth / image.width, maxHeight / image.height, 1);
+  return { width: image.width * scale, height: image.height * scale };
+}
+
+/** Image files directly in `dir` (not in subfolders), or [] when it doesn't exist. */
+function listImages(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isFile() && IMAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()))
+    .map((entry) => path.join(dir, entry.name));
+}
+
+// ---------------------------------------------------------------------------
+// PNG pixels
+// ---------------------------------------------------------------------------
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+// Channels per colour type: grey, RGB, palette, grey + alpha, RGBA
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Chunks that describe how colours look, kept when a PNG is rewritten
+const COLOR_CHUNKS = ["cHRM", "gAMA", "iCCP", "sRGB", "pHYs"];
+
+/** The chunks of a PNG file: [{ type, data }]. */
+function pngChunks(data, file) {
+  if (!data.subarray(0, 8).equals(PNG_SIGNATURE)) throw new Error(`${file}: not a PNG image`);
+  const chunks = [];
+  for (let at = 8; at + 12 <= data.length;) {
+    const length = data.readUInt32BE(at);
+    chunks.push({ type: data.toString("latin1", at + 4, at + 8), data: data.subarray(at + 8, at + 8 + length) });
+    at += length + 12;
+  }
+  return chunks;
+}
+
+/** Undo the per-row filters of decompressed PNG data. */
+function unfilter(raw, rowBytes, height, bpp) {
+  const out = Buffer.alloc(rowBytes * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (rowBytes + 1)];
+    const line = raw.subarray(y * (rowBytes + 1) + 1, (y + 1) * (rowBytes + 1));
+    const row = y * rowBytes;
+    for (let i = 0; i < rowBytes; i++) {
+      const a = i >= bpp ? out[row + i - bpp] : 0;
+      const b = y ? out[row - rowBytes + i] : 0;
+      const c = i >= bpp && y ? out[row - rowBytes + i - bpp] : 0;
+      out[row + i] = (line[i] + predict(filter, a, b, c)) & 0xFF;
+    }
+  }
+  return out;
+}
+
+/** The value a PNG row filter predicts from the bytes left (a), above (b) and above-left (c). */
+function predict(filter, a, b, c) {
+  switch (filter) {
+    case 0: return 0;
+    case 1: return a;
+    case 2: return b;
+    case 3: return (a + b) >> 1;
+    case 4: {
+      // Paeth: whichever neighbour is closest to a + b - c
+      const pa = Math.abs(b - c);
+      const pb = Math.abs(a - c);
+      const pc = Math.abs(a + b - 2 * c);
+      if (pa <= pb && pa <= pc) return a;
+      return pb <= pc ? b : c;
+    }
+    default: throw new Error(`unknown PNG filter type ${filter}`);
+  }
+}
+
+/**
+ * Decode a PNG into 8-bit RGBA pixels. Handles every 8-bit colour type and
+ * palettes of any depth, which covers screenshots saved by macOS and by
+ * optimisers like pngquant; interlaced and 16-bit files are rejected.
+ *
+ * @returns {{width: number, height: number, pixels: Buffer, chunks: {type: string, data: Buffer}[]}}
+ *   `chunks` are the colour chunks to carry over to an encoded copy.
+ */
+function decodePng(data, file = "image") {
+  const chunks = pngChunks(data, file);
+  const header = chunks.find((c) => c.type === "IHDR").data;
+  const width = header.readUInt32BE(0);
+  const height = header.readUInt32BE(4);
+  const [depth, colorType, , , interlace] = header.subarray(8, 13);
+  const channels = PNG_CHANNELS[colorType];
+  if (!channels || interlace || (depth !== 8 && colorType !== 3)) {
+    throw new Error(`${file}: only 8-bit, non-interlaced PNGs can be annotated (re-save it without interlacing)`);
+  }
+
+  const bitsPerPixel = depth * channels;
+  const rowBytes = Math.ceil((width * bitsPerPixel) / 8);
+  const compressed = Buffer.concat(chunks.filter((c) => c.type === "IDAT").map((c) => c.data));
+  const raw = unfilter(zlib.inflateSync(compressed), rowBytes, height, Math.max(1, bitsPerPixel >> 3));
+
+  const palette = chunks.find((c) => c.type === "PLTE")?.data;
+  const transparency = chunks.find((c) => c.type === "tRNS")?.data;
+  const pixels = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const to = (y * width + x) * 4;
+      const from = y * rowBytes + x * channels;
+      switch (colorType) {
+        case 0:
+          pixels.fill(raw[from], to, to + 3);
+          pixels[to + 3] = 255;
+          break;
+        case 2:
+          raw.copy(pixels, to, from, from + 3);
+          pixels[to + 3] = 255;
+          break;
+        case 3: {
+          const bit = x * depth;
+          const index = (raw[y * rowBytes + (bit >> 3)] >> (8 - depth - (bit & 7))) & ((1 << depth) - 1);
+          palette.copy(pixels, to, index * 3, index * 3 + 3);
+          pixels[to + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+          break;
+        }
+        case 4:
+          pixels.fill(raw[from], to, to + 3);
+          pixels[to + 3] = raw[from + 1];
+          break;
+        default:
+          raw.copy(pixels, to, from, from + 4);
+      }
+    }
+  }
+  return { width, height, pixels, chunks: chunks.filter((c) => COLOR_CHUNKS.includes(c.type)) };
+}
+
+/** A PNG chunk with its length and CRC. */
+function pngChunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, "latin1"), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode 8-bit RGBA pixels as a PNG. Each row uses whichever filter leaves
+ * the smallest values, the usual heuristic for photos and screenshots alike.
+ */
+function encodePng({ width, height, pixels, chunks = [] }) {
+  const rowBytes = width * 4;
+  const raw = Buffer.alloc((rowBytes + 1) * height);
+  const candidate = Buffer.alloc(rowBytes);
+  for (let y = 0; y < height; y++) {
+    const row = y * rowBytes;
+    let best = Infinity;
+    for (let filter = 0; filter <= 4; filter++) {
+      let sum = 0;
+      for (let i = 0; i < rowBytes; i++) {
+        const a = i >= 4 ? pixels[row + i - 4] : 0;
+        const b = y ? pixels[row - rowBytes + i] : 0;
+        const c = i >= 4 && y ? pixels[row - rowBytes + i - 4] : 0;
+        candidate[i] = (pixels[row + i] - predict(filter, a, b, c)) & 0xFF;
+        sum += candidate[i] < 128 ? candidate[i] : 256 - candidate[i];
+      }
+      if (sum < best) {
+        best = sum;
+        raw[y * (rowBytes + 1)] = filter;
+        candidate.copy(raw, y * (rowBytes + 1) + 1);
+      }
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([8, 6, 0, 0, 0], 8);
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk("IHDR", header),
+    ...chunks.map((c) => pngChunk(c.type, c.data)),
+    pngChunk("IDAT", zlib.deflateSync(raw, { level: 9 })),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+module.exports = { readImage, findImage, fitImage, listImages, baseName, decodePng, encodePng };
@@ -0,0 +1,161 @@
+// guide/inline.js — Inline markup shared by the Word, PDF and HTML renderers
+//
+// Body text, callouts, list items and table cells may contain:
+//
+//   **bold**   *italics*   `code`   ++Key++   {Menu > Path}
+//   [link text](https://example.com)
+//   [[id|Title]]  (a cross-reference, once linkGuide() in guide/links.js has resolved it)
+//   ((term))  ((text|Term))  ((text|Term|id))  (an index term; see guide/glossary.js)
+//
+// Bold, italics, links and menu paths may nest; code, keys, cross-references
+// and index terms are literal. A backslash makes the next marker character
+// literal, e.g. \* or \{. parseInline() turns the text into a flat list of
+// styled runs so each renderer only has to decide how a run looks.
+
+const ESCAPABLE = "\\`*_{}[]()+>|";
+
+// ((text)), ((text|Term)) or ((text|Term|glossary id)), at the start of a string
+const INDEX_TERM = /^\(\(((?:\\.|[^)|\\])+)(?:\|([^)|]+))?(?:\|([^)|]+))?\)\)/;
+
+/** Escape every marker character, so `text` reads as plain text whatever it contains. */
+function escapeInline(text) {
+  return text.replace(/[\\`*_{}[\]()+>|]/g, "\\$&");
+}
+
+/** Remove backslash escapes. */
+function unescape(text) {
+  return text.replace(/\\([\\`*_{}[\]()+>|])/g, "$1");
+}
+
+/** Runs with the same style can be merged (keys stay separate caps). */
+function sameStyle(a, b) {
+  if (a.key || b.key) return false;
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  keys.delete("text");
+  return [...keys].every((k) => a[k] === b[k]);
+}
+
+/**
+ * Index of the `*` or `**` that closes an emphasis span whose content starts
+ * at `from`, or -1. A closer can't follow a space; in `***` the outermost
+ * markers close first, and inside *italics* a **bold** pair is skipped whole.
+ */
+function findClose(s, marker, from) {
+  for (let j = from; j < s.length; j++) {
+    if (s[j] === "\\") {
+      j++;
+      continue;
+    }
+    if (s[j] === "`") {
+      const end = s.indexOf("`", j + 1);
+      if (end !== -1) j = end;
+      continue;
+    }
+    if (s[j] !== "*") continue;
+    let length = 1;
+    while (s[j + length] === "*") length++;
+    if (marker === "*" && length === 2) {
+      const inner = findClose(s, "**", j + 2);
+      if (inner !== -1) {
+        j = inner + 1;
+        continue;
+      }
+    }
+    if (length >= marker.length && !/\s/.test(s[j - 1])) return j + length - marker.length;
+    j += length - 1;
+  }
+  return -1;
+}
+
+/** Parse `s` with the given style, passing each piece of text to `emit`. */
+function parseSpan(s, style, emit) {
+  let text = "";
+  const flush = () => {
+    emit(text, style);
+    text = "";
+  };
+  let i = 0;
+  while (i < s.length) {
+    const rest = s.slice(i);
+    let m;
+    let end;
+    if (s[i] === "\\" && i + 1 < s.length && ESCAPABLE.includes(s[i + 1])) {
+      text += s[i + 1];
+      i += 2;
+    } else if (s[i] === "`" && (end = s.indexOf("`", i + 1)) > i + 1) {
+      flush();
+      emit(s.slice(i + 1, end), { ...style, code: true });
+      i = end + 1;
+    } else if (rest.startsWith("++") && (end = s.indexOf("++", i + 3)) !== -1) {
+      flush();
+      emit(unescape(s.slice(i + 2, end)), { ...style, key: true });
+      i = end + 2;
+    } else if ((m = INDEX_TERM.exec(rest))) {
+      // The term defaults to the text; a resolved term also links to its glossary entry
+      flush();
+      const text = unescape(m[1]);
+      emit(text, { ...style, index: m[2] ?? text, ...(m[3] ? { ref: m[3] } : {}) });
+      i += m[0].length;
+    } else if ((m = /^\[\[([^\]|]+)\|([^\]]+)\]\]/.exec(rest))) {
+      flush();
+      emit(m[2], { ...style, ref: m[1] });
+      i += m[0].length;
+    } else if ((m = /^\[((?:\\.|[^\]\\])+)\]\(((?:https?|mailto):[^)\s]+)\)/.exec(rest))) {
+      flush();
+      parseSpan(m[1], { ...style, href: m[2] }, emit);
+      i += m[0].length;
+    } else if ((m = /^\{((?:\\.|[^}\\])+)\}/.exec(rest))) {
+      // Menu paths may be typed with ">" or "→" between the steps
+      flush();
+      parseSpan(m[1].split(/\s+(?:>|→)\s+/).join(" → "), { ...style, menu: true }, emit);
+      i += m[0].length;
+    } else if (rest.startsWith("**") && /\S/.test(s[i + 2] ?? "") && (end = findClose(s, "**", i + 2)) !== -1) {
+      flush();
+      parseSpan(s.slice(i + 2, end), { ...style, bold: true }, emit);
+      i = end + 2;
+    } else if (s[i] === "*" && /[^\s*]/.test(s[i + 1] ?? "") && (end = findClose(s, "*", i + 1)) !== -1) {
+      flush();
+      parseSpan(s.slice(i + 1, end), { ...style, italics: true }, emit);
+      i = end + 1;
+    } else {
+      text += s[i];
+      i++;
+    }
+  }
+  flush();
+}
+
+/**
+ * Split text into styled runs. Each run has `text` plus any of bold, italics,
+ * code, key, menu (booleans), href (external URL), ref (heading or glossary
+ * entry id) or index (the index term it is an entry for), and every property
+ * of `base`.
+ *
+ * @returns {{text: string, bold?: boolean, italics?: boolean, code?: boolean, key?: boolean, menu?: boolean, href?: string, ref?: string, index?: string}[]}
+ */
+function parseInline(text, base = {}) {
+  const runs = [];
+  parseSpan(text, base, (piece, style) => {
+    if (piece === "") return;
+    const last = runs[runs.length - 1];
+    if (last && sameStyle(last, style)) last.text += piece;
+    else runs.push({ ...style, text: piece });
+  });
+  return runs;
+}
+
+/**
+ * Copy a block, passing each piece of its inline text (paragraph and callout
+ * text, list items, procedure steps at every level, table cells) through `fn`.
+ */
+function mapInlineText(block, fn) {
+  const mapSteps = (steps) => steps.map((step) => ({ ...step, text: fn(step.text), steps: mapSteps(step.steps) }));
+  const copy = { ...block };
+  if (copy.text !== undefined) copy.text = fn(copy.text);
+  if (copy.items) copy.items = copy.items.map(fn);
+  if (copy.steps) copy.steps = mapSteps(copy.steps);
+  if (copy.rows) copy.rows = copy.rows.map((row) => row.map(fn));
+  return copy;
+}
+
+module.exports = { parseInline, mapInlineText, escapeInline };
@@ -0,0 +1,90 @@
+// guide/links.js — Heading anchors, the table of contents and cross-references
+//
+// Every heading gets an id (its slug; a repeated heading adds the first -2,
+// -3, … that no other heading's slug has) that the renderers use for Word
+// bookmarks, PDF destinations and HTML anchors. Body text refers to another
+// section as [[Heading title]]; linkGuide() checks the target exists and
+// rewrites the reference to [[id|Title]], so the link always shows the
+// heading's current title and renaming a section can't leave a dangling
+// "see …" behind.
+
+const { mapInlineText } = require("./inline");
+
+const REFERENCE = /\[\[([^\]|]+)\]\]/g;
+const TOC_LEVELS = 2;
+
+/** Turn a heading into a URL fragment, e.g. "1. Microphone Access" → "microphone-access". */
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/\*\*/g, "")
+    .replace(/^\d+\.\s*/, "")
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/** A heading's title as shown in links: no bold markers or step number. */
+function headingTitle(text) {
+  return text.replace(/\*\*/g, "").replace(/^\d+\.\s*/, "");
+}
+
+/**
+ * Give every heading a unique id and resolve [[…]] cross-references in
+ * paragraphs, lists, procedure steps, callouts and table cells. A reference matches the
+ * heading with the same slug, so "[[Accessibility Access]]" finds
+ * "2. Accessibility Access"; unknown or ambiguous targets stop the build.
+ *
+ * @param {object[]} blocks - Expanded guide blocks.
+ * @param {function(object): string} where - "file:line" of a block, for errors.
+ * @returns {object[]} Copies of the blocks with heading ids and resolved references.
+ */
+function linkGuide(blocks, where) {
+  // Translated headings keep the English id, so references and anchors are the same in every edition
+  const slugOf = (block) => slugify(block.source ?? block.text) || "section";
+  // "Step", "Step", "Step 2" get step, step-3 and step-2
+  const slugs = new Set(blocks.filter((block) => block.type === "heading").map(slugOf));
+  const ids = new Set();
+  const bySlug = new Map();
+  const linked = blocks.map((block) => {
+    if (block.type !== "heading") return block;
+    const base = slugOf(block);
+    let id = base;
+    for (let n = 2; ids.has(id) || (id !== base && slugs.has(id)); n++) id = `${base}-${n}`;
+    ids.add(id);
+    const heading = { ...block, id };
+    bySlug.set(base, bySlug.has(base) ? null : heading);
+    return heading;
+  });
+
+  const resolve = (text, block) => text.replace(REFERENCE, (match, target) => {
+    const slug = slugify(target);
+    if (!bySlug.has(slug)) throw new Error(`${where(block)}: cross-reference ${match} matches no heading`);
+    const heading = bySlug.get(slug);
+    if (!heading) throw new Error(`${where(block)}: cross-reference ${match} matches more than one heading`);
+    return `[[${heading.id}|${headingTitle(heading.text)}]]`;
+  });
+
+  return linked.map((block) => (
+    block.type === "heading" || block.type === "screenshot" ? block : mapInlineText(block, (text) => resolve(text, block))
+  ));
+}
+
+/** Table of contents entries for the top heading levels: { id, level, title }. */
+function tableOfContents(blocks) {
+  return blocks
+    .filter((block) => block.type === "heading" && block.level <= TOC_LEVELS)
+    .map((block) => ({ id: block.id, level: block.level, title: block.text.replace(/\*\*/g, "") }));
+}
+
+/** The guide split at its chapters (level-1 headings): { intro, chapters: [{ heading, blocks }] }, intro being what comes before the first. */
+function splitChapters(blocks) {
+  const intro = [];
+  const chapters = [];
+  for (const block of blocks) {
+    if (block.type === "heading" && block.level === 1) chapters.push({ heading: block, blocks: [] });
+    (chapters.length ? chapters[chapters.length - 1].blocks : intro).push(block);
+  }
+  return { intro, chapters };
+}
+
+module.exports = { linkGuide, tableOfContents, splitChapters, slugify };
@@ -0,0 +1,193 @@
+// guide/lint.js — Terminology and structure checks for the guide text
+//
+// `node create-guide.js --lint` runs lintGuide() over the expanded English
+// guide with the rules in guide/lint-rules.json:
+//
+//   {
+//     "terms": [{ "use": "⌘V", "not": ["Cmd+V", …] }, …],
+//     "characters": [{ "use": "…", "not": ["..."] }, …],
+//     "claims": [{ "noun": "sections", "count": "subsections" }, …]
+//   }
+//
+// "terms" are matched as whole words, "characters" anywhere; both look at the
+// text as rendered, so `code` and link addresses are skipped and ++Fn++ key
+// reads "Fn key". A claim such as "organised into seven sections" is checked
+// by counting, in the section it appears in, the subsections (subsections),
+// the "**Term** — …" paragraphs after it (terms) or the steps of the next
+// procedure (steps). The structure checks need no rules: headings may not
+// skip a level, every section needs some content, and every screenshot
+// caption needs a SCREENSHOT_MAP entry.
+//
+// Tables and other blocks generated from the app's sources and release notes
+// are only checked for structure; their wording isn't the guide's.
+
+const fs = require("fs");
+const { parseInline, mapInlineText } = require("./inline");
+
+// A paragraph describing one term, e.g. "**Trigger key** — …" or "(1) **Settings…** — …"
+const TERM_PARAGRAPH = /^(\(\d+\)\s+)?\*\*[^*]+\*\*\s+—/;
+
+/** Load and check a rules file. */
+function loadLintRules(file) {
+  let rules;
+  try {
+    rules = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+  for (const kind of ["terms", "characters"]) {
+    for (const [i, rule] of (rules[kind] ?? []).entries()) {
+      if (typeof rule.use !== "string" || !Array.isArray(rule.not) || rule.not.length === 0) {
+        throw new Error(`${file}: ${kind}[${i}] needs "use" and a list of words it replaces in "not"`);
+      }
+    }
+  }
+  for (const [i, claim] of (rules.claims ?? []).entries()) {
+    if (!claim.noun || !["subsections", "terms", "steps"].includes(claim.count)) {
+      throw new Error(`${file}: claims[${i}] needs a "noun" and "count" of subsections, terms or steps`);
+    }
+  }
+  return { terms: rules.terms ?? [], characters: rules.characters ?? [], claims: rules.claims ?? [] };
+}
+
+/** Escape text for use in a regular expression. */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/** Text as a reader sees it: inline markup resolved, code left out. */
+function plainText(text) {
+  return parseInline(text).map((run) => (run.code ? " " : run.text)).join("");
+}
+
+/** Every piece of readable text in a block, captions included, with its line: [{ text, line }]. */
+function blockTexts(block) {
+  const texts = [];
+  const add = (text, line = block.line) => texts.push({ text, line });
+  if (block.type === "steps") {
+    // Steps carry their own lines
+    const walk = (steps) => steps.forEach((step) => {
+      add(plainText(step.text), step.line);
+      if (step.screenshot) add(step.screenshot.caption, step.line);
+      walk(step.steps);
+    });
+    walk(block.steps);
+    return texts;
+  }
+  mapInlineText(block, (text) => {
+    add(plainText(text));
+    return text;
+  });
+  if (block.caption) add(block.caption);
+  return texts;
+}
+
+/** Screenshot captions in a block, including those under procedure steps: [{ caption, line }]. */
+function blockCaptions(block) {
+  if (block.type === "screenshot") return [{ caption: block.caption, line: block.line }];
+  const captions = [];
+  const walk = (steps) => steps.forEach((step) => {
+    if (step.screenshot) captions.push({ caption: step.screenshot.caption, line: step.line });
+    walk(step.steps);
+  });
+  if (block.type === "steps") walk(block.steps);
+  return captions;
+}
+
+/** The index just past the section that starts with the heading at `start`. */
+function sectionEnd(blocks, start) {
+  const level = blocks[start].level;
+  const end = blocks.findIndex((b, i) => i > start && b.type === "heading" && b.level <= level);
+  return end === -1 ? blocks.length : end;
+}
+
+/**
+ * Check the guide.
+ *
+ * @param {object[]} blocks - Expanded English guide blocks, each with its source line.
+ * @param {{terms: object[], characters: object[], claims: object[]}} rules - From loadLintRules().
+ * @param {{captions: string[], numberWords: string[]}} context - SCREENSHOT_MAP captions, and
+ *   number words by value ("zero", "one", …) for reading claims.
+ * @returns {{line: number, rule: string, message: string}[]} Problems in line order.
+ */
+function lintGuide(blocks, rules, context) {
+  const problems = [];
+  const report = (line, rule, message) => problems.push({ line, rule, message });
+
+  // Wording
+  const checks = [
+    ...rules.terms.flatMap((rule) => rule.not.map((word) => ({
+      rule: "terms",
+      use: rule.use,
+      word,
+      pattern: new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(word)}(?![\\p{L}\\p{N}])`, "u"),
+    }))),
+    ...rules.characters.flatMap((rule) => rule.not.map((word) => ({
+      rule: "characters", use: rule.use, word, pattern: new RegExp(escapeRegExp(word), "u"),
+    }))),
+  ];
+  for (const block of blocks) {
+    if (block.generated) continue;
+    for (const { text, line } of blockTexts(block)) {
+      for (const check of checks) {
+        if (check.pattern.test(text)) report(line, check.rule, `use ${check.use} instead of ${check.word}`);
+      }
+    }
+  }
+
+  // Headings and sections
+  const captions = new Set(context.captions);
+  let previous = 0;
+  blocks.forEach((block, i) => {
+    for (const { caption, line } of blockCaptions(block)) {
+      if (!captions.has(caption)) report(line, "screenshots", `screenshot "${caption}" has no SCREENSHOT_MAP entry`);
+    }
+    if (block.type !== "heading") return;
+    if (block.level > previous + 1) {
+      report(block.line, "headings", `"${block.text}" skips from ${previous ? `H${previous}` : "the start"} to H${block.level}`);
+    }
+    previous = block.level;
+    const next = blocks[i + 1];
+    if (!next || (next.type === "heading" && next.level <= block.level)) {
+      report(block.line, "sections", `section "${block.text}" is empty`);
+    }
+  });
+
+  // Numeric claims
+  if (rules.claims.length) {
+    const nouns = rules.claims.map((claim) => escapeRegExp(claim.noun)).join("|");
+    const numbers = context.numberWords.join("|");
+    const claim = new RegExp(`\\b(\\d+|${numbers})\\s+(?:[\\p{L}-]+\\s+)?(${nouns})\\b`, "giu");
+    let heading = -1;
+    blocks.forEach((block, i) => {
+      if (block.type === "heading") heading = i;
+      if (block.generated || heading === -1 || block.type === "heading") return;
+      const end = sectionEnd(blocks, heading);
+      // Terms and steps are counted from the claim to the next heading
+      const next = blocks.findIndex((b, j) => j > i && b.type === "heading");
+      const after = blocks.slice(i + 1, next === -1 ? blocks.length : next);
+      for (const { text, line } of blockTexts(block)) {
+        for (const m of text.matchAll(claim)) {
+          const said = /^\d+$/.test(m[1]) ? Number(m[1]) : context.numberWords.indexOf(m[1].toLowerCase());
+          const { count } = rules.claims.find((c) => c.noun.toLowerCase() === m[2].toLowerCase());
+          let actual;
+          if (count === "subsections") {
+            const level = blocks[heading].level + 1;
+            actual = blocks.slice(heading + 1, end).filter((b) => b.type === "heading" && b.level === level).length;
+          } else if (count === "terms") {
+            actual = after.filter((b) => b.type === "paragraph" && TERM_PARAGRAPH.test(b.text)).length;
+          } else {
+            actual = after.find((b) => b.type === "steps")?.steps.length ?? 0;
+          }
+          if (actual !== said) {
+            report(line, "claims", `"${m[0]}" but "${blocks[heading].text}" has ${actual} ${count === "subsections" ? "subsections" : m[2]}`);
+          }
+        }
+      }
+    });
+  }
+
+  return problems.sort((a, b) => a.line - b.line);
+}
+
+module.exports = { loadLintRules, lintGuide };
@@ -0,0 +1,102 @@
+// guide/models.js — Whisper models and languages, taken from the app
+//
+// Reads the model and language lists from Managers/TranscriptionEngine.swift
+// and turns them into the guide's appendix tables and the {{models.…}} and
+// {{languages.…}} placeholder values, so counts in the prose always match
+// what the Settings window offers.
+
+const { parseStaticString, parseStringArray, parsePairArray, readSwift } = require("./swift");
+
+// Published characteristics of each Whisper model family (the English-only
+// ".en" variants share their family's size). Speed and accuracy are relative
+// tiers, not benchmarks.
+const MODEL_FAMILIES = {
+  "tiny": { parameters: "39M", speed: "Fastest", accuracy: "Basic" },
+  "base": { parameters: "74M", speed: "Very fast", accuracy: "Fair" },
+  "small": { parameters: "244M", speed: "Fast", accuracy: "Good" },
+  "medium": { parameters: "769M", speed: "Moderate", accuracy: "Very good" },
+  "large-v3": { parameters: "1.55B", speed: "Slowest", accuracy: "Best" },
+  "large-v3-turbo": { parameters: "809M", speed: "Fast", accuracy: "Very good" },
+};
+
+/**
+ * Read the models and languages HushType offers.
+ *
+ * @param {string} sourcesDir - Sources/HushType
+ * @returns {{models: object[], languages: {code: string, name: string}[], bundled: string, warnings: string[]}}
+ */
+function loadModels(sourcesDir) {
+  const source = readSwift(sourcesDir, "Managers/TranscriptionEngine.swift");
+  const names = parseStringArray(source, "availableModels");
+  const pairs = parsePairArray(source, "supportedLanguages");
+  const bundled = parseStaticString(source, "bundledModelName");
+  if (!names || !pairs || !bundled) {
+    throw new Error("Could not read availableModels, supportedLanguages or bundledModelName from TranscriptionEngine.swift");
+  }
+
+  const warnings = [];
+  const models = names.map((name) => {
+    const family = name.replace(/\.en$/, "");
+    if (!MODEL_FAMILIES[family]) {
+      warnings.push(`Model "${name}" has no entry in MODEL_FAMILIES (guide/models.js)`);
+    }
+    return {
+      name,
+      englishOnly: name.endsWith(".en"),
+      bundled: name === bundled,
+      ...(MODEL_FAMILIES[family] ?? { parameters: "—", speed: "—", accuracy: "—" }),
+    };
+  });
+
+  // A nil code is the "Auto-detect" entry, which isn't a language
+  const languages = pairs.filter(([code]) => code !== null).map(([code, name]) => ({ code, name }));
+  return { models, languages, bundled, warnings };
+}
+
+/** Appendix table comparing the models. */
+function modelTable(data) {
+  return {
+    type: "table",
+    widths: [2.4, 2.2, 1.6, 1.8, 1.8],
+    rows: [
+      ["Model", "Languages", "Parameters", "Speed", "Accuracy"],
+      ...data.models.map((m) => [
+        m.bundled ? `**${m.name}** (bundled)` : `**${m.name}**`,
+        m.englishOnly ? "English only" : "Multilingual",
+        m.parameters,
+        m.speed,
+        m.accuracy,
+      ]),
+    ],
+  };
+}
+
+/** Appendix table of every supported language, in two column pairs. */
+function languageTable(data) {
+  const half = Math.ceil(data.languages.length / 2);
+  const rows = [];
+  for (let i = 0; i < half; i++) {
+    const left = data.languages[i];
+    const right = data.languages[i + half];
+    rows.push([left.name, left.code, right ? right.name : "", right ? right.code : ""]);
+  }
+  return {
+    type: "table",
+    widths: [3, 1.5, 3, 1.5],
+    rows: [["Language", "Code", "Language", "Code"], ...rows],
+  };
+}
+
+/** Values for {{models.…}} and {{languages.…}} placeholders in the guide text. */
+function modelValues(data) {
+  return {
+    "models.count": data.models.length,
+    "models.names": data.models.map((m) => m.name),
+    "models.englishOnlyCount": data.models.filter((m) => m.englishOnly).length,
+    "models.multilingualCount": data.models.filter((m) => !m.englishOnly).length,
+    "models.bundled": data.bundled,
+    "languages.count": data.languages.length,
+  };
+}
+
+module.exports = { loadModels, modelTable, languageTable, modelValues };
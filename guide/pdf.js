@@ -0,0 +1,714 @@
+// guide/pdf.js — Render the parsed user guide straight to PDF
+//
+// Used by create-guide.js so that release builds no longer need LibreOffice or
+// pandoc to convert the .docx. The layout mirrors the Word document: same
+// header and "Page N" footer, tip/warning boxes, tables and screenshots.
+//
+// With `layout: "card"` it lays the blocks out as the one-page quick reference
+// instead: a title across the top, then the blocks in columns, with no
+// contents, running header or page numbers.
+//
+// Right-to-left editions mirror the layout: text is right-aligned, lists and
+// indents hang from the right and table and page columns run right to left.
+//
+// Sizes passed in follow the docx conventions used by guide/docx.js (DXA for
+// page geometry, half-points for font sizes) and are converted to PDF points
+// here.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const PDFDocument = require("pdfkit");
+const { parseInline } = require("./inline");
+const { tableOfContents } = require("./links");
+const { formatMessage } = require("./i18n");
+
+const DXA_PER_PT = 20;
+
+// The theme's body font is embedded when its four TrueType files are installed
+// under the names macOS uses for Arial ("Arial.ttf", "Arial Bold.ttf", …);
+// otherwise the built-in Helvetica is used, and pdfFontProblems() says so.
+const FONT_DIRS = [
+  "/System/Library/Fonts",
+  "/System/Library/Fonts/Supplemental",
+  "/Library/Fonts",
+  path.join(os.homedir(), "Library", "Fonts"),
+];
+
+// Arial, Helvetica and Courier have no ⌘ or the other modifier key symbols;
+// they are drawn in Apple Symbols, one glyph at a time
+const SYMBOL_FONT_FILE = "Apple Symbols.ttf";
+
+/** TrueType file names of a font family's four variants. */
+function fontFiles(family) {
+  return {
+    regular: `${family}.ttf`,
+    bold: `${family} Bold.ttf`,
+    italic: `${family} Italic.ttf`,
+    boldItalic: `${family} Bold Italic.ttf`,
+  };
+}
+const STANDARD_FONTS = {
+  regular: "Helvetica",
+  bold: "Helvetica-Bold",
+  italic: "Helvetica-Oblique",
+  boldItalic: "Helvetica-BoldOblique",
+};
+
+// Key symbols as words, for when Apple Symbols isn't installed
+const SYMBOL_SUBSTITUTES = { "⌘": "Cmd+", "⌥": "Option+", "⌃": "Control+", "⇧": "Shift+" };
+const SYMBOLS = new RegExp(`([${Object.keys(SYMBOL_SUBSTITUTES).join("")}]+)`);
+// The standard PDF fonts only cover WinAnsi, which also lacks arrows and the minus sign
+const STANDARD_SUBSTITUTES = { "→": "->", "−": "-" };
+
+// Inline code is always set in the built-in Courier
+const CODE_FONT = "Courier";
+
+// Id of the index's heading, which the contents links to
+const INDEX_ID = "index";
+
+// Text in a right-to-left script, and text that reads left to right (Latin letters, digits)
+const RTL_TEXT = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+const LTR_TEXT = /[A-Za-z\u00C0-\u024F0-9]/;
+
+/** A function that replaces the characters in `substitutes` keys. */
+function substituter(substitutes) {
+  const pattern = new RegExp(`[${Object.keys(substitutes).join("")}]`, "g");
+  return (text) => text.replace(pattern, (ch) => substitutes[ch]);
+}
+
+/** The installed fonts for a body font family: the folder with its four files and the Apple Symbols file, each null when missing. */
+function findFonts(family) {
+  const files = fontFiles(family);
+  const dir = FONT_DIRS.find((d) => Object.values(files).every((f) => fs.existsSync(path.join(d, f)))) ?? null;
+  const symbols = FONT_DIRS.map((d) => path.join(d, SYMBOL_FONT_FILE)).find((f) => fs.existsSync(f)) ?? null;
+  return { files, dir, symbols };
+}
+
+/**
+ * Why the PDF for a body font family won't look the way it does on a Mac
+ * with the usual fonts, as warnings: its body font or Apple Symbols missing.
+ *
+ * @returns {string[]}
+ */
+function pdfFontProblems(family) {
+  const { files, dir, symbols } = findFonts(family);
+  const where = FONT_DIRS.join(", ");
+  return [
+    ...(dir ? [] : [`the PDF is set in Helvetica, with different line breaks: ${files.regular} and the other ${family} TrueType files are not in ${where}`]),
+    ...(symbols ? [] : [`the PDF spells out ⌘ and the other key symbols ("Cmd+"): ${SYMBOL_FONT_FILE} is not in ${where}`]),
+  ];
+}
+
+/**
+ * Register the body font family (plus "code", and "symbols" when Apple
+ * Symbols is installed). Returns pieces(text, font), which splits text into
+ * the { text, font } pieces to draw it in: key symbols in "symbols", or
+ * spelled out without it, and characters the standard fonts lack replaced;
+ * and whether the body fonts are embedded TrueType fonts rather than Helvetica.
+ */
+function registerFonts(doc, family) {
+  const { files, dir, symbols } = findFonts(family);
+  for (const [variant, file] of Object.entries(files)) {
+    doc.registerFont(variant, dir ? path.join(dir, file) : STANDARD_FONTS[variant]);
+  }
+  doc.registerFont("code", CODE_FONT);
+  if (symbols) doc.registerFont("symbols", symbols);
+  const standard = substituter(STANDARD_SUBSTITUTES);
+  const spelledOut = substituter(SYMBOL_SUBSTITUTES);
+  const pieces = (text, font) => {
+    const clean = font === "code" || !dir ? standard(text) : text;
+    if (!symbols) return [{ text: spelledOut(clean), font }];
+    return clean.split(SYMBOLS).filter(Boolean).map((part) => ({ text: part, font: SYMBOLS.test(part) ? "symbols" : font }));
+  };
+  return { pieces, embedded: Boolean(dir) };
+}
+
+/**
+ * Put the fragments of a right-to-left line in drawing order (left to right).
+ * Words are reversed, but a stretch of left-to-right words such as
+ * "HushType 1.5" keeps its own order, along with the spaces and punctuation
+ * between them. The font shapes each right-to-left word.
+ */
+function visualOrder(fragments) {
+  const ltr = (fragment) => LTR_TEXT.test(fragment.text) && !RTL_TEXT.test(fragment.text);
+  const groups = [];
+  let stretch = null;
+  const closeStretch = () => {
+    // Spaces and punctuation after the last left-to-right word sit outside the stretch
+    const trailing = [];
+    while (stretch && !ltr(stretch[stretch.length - 1])) trailing.unshift(stretch.pop());
+    groups.push(...trailing.map((f) => [f]));
+    stretch = null;
+  };
+  for (const fragment of fragments) {
+    if (ltr(fragment)) {
+      if (!stretch) groups.push((stretch = []));
+      stretch.push(fragment);
+    } else if (stretch && !RTL_TEXT.test(fragment.text)) {
+      stretch.push(fragment);
+    } else {
+      closeStretch();
+      groups.push([fragment]);
+    }
+  }
+  closeStretch();
+  return groups.reverse().flat();
+}
+
+/** PDFKit wants colours with a leading "#"; the guide's constants omit it. */
+function hex(color) {
+  return color.startsWith("#") ? color : `#${color}`;
+}
+
+/** Pick the registered font variant for a run. Menu paths are set in bold. */
+function fontFor(run) {
+  const bold = run.bold || run.menu;
+  if (run.code) return "code";
+  if (bold && run.italics) return "boldItalic";
+  if (bold) return "bold";
+  if (run.italics) return "italic";
+  return "regular";
+}
+
+/**
+ * Render guide blocks to a PDF.
+ *
+ * @param {object[]} blocks - Guide blocks after linkGuide().
+ * @param {object} options
+ * @param {string} options.title - Document title (PDF metadata, and the card's printed title).
+ * @param {Date} options.date - Creation date (PDF metadata).
+ * @param {string} options.headerText - Running header on every page.
+ * @param {string} options.version - Version line on the title page.
+ * @param {string} options.tagline - Subtitle under "User Guide".
+ * @param {string[]} options.footerLines - Lines on the closing page.
+ * @param {object} options.labels - Translated interface text (userGuide, contents, index, page and screenshot templates).
+ * @param {string} options.direction - "ltr" or "rtl".
+ * @param {string} options.locale - Language of the text, e.g. "en".
+ * @param {?{data: Buffer, width: number, height: number}} options.logo - Title logo, or null.
+ * @param {boolean} [options.index] - Add an index of the marked terms (see guide/glossary.js), with the pages
+ *   they are on, before the closing page.
+ * @param {function({caption: string, source?: string}): ?{data: Buffer, width: number, height: number}} options.loadScreenshot
+ * @param {object} options.style - Colours, fonts, heading styles and page geometry.
+ * @param {string} [options.layout] - "card" for the quick reference card; it must fit on one page.
+ * @param {{count: number, gap: number}} [options.columns] - Text columns and the space between them (DXA).
+ * @returns {Promise<Buffer>}
+ */
+function renderPdf(blocks, options) {
+  const { style, labels } = options;
+  const rtl = options.direction === "rtl";
+  const pageWidth = style.pageWidth / DXA_PER_PT;
+  const pageHeight = style.pageHeight / DXA_PER_PT;
+  const margins = Object.fromEntries(Object.entries(style.margins).map(([side, value]) => [side, value / DXA_PER_PT]));
+  const card = options.layout === "card";
+  const columns = options.columns?.count ?? 1;
+  const columnGap = (options.columns?.gap ?? 0) / DXA_PER_PT;
+  // The text column being filled; the card's title spans the page
+  let marginLeft = margins.left;
+  let contentWidth = pageWidth - margins.left - margins.right;
+  let column = 0;
+  let columnTop = margins.top;
+  const bodySize = style.bodySize / 2;
+
+  const doc = new PDFDocument({
+    size: [pageWidth, pageHeight],
+    margins,
+    bufferPages: true,
+    info: { Title: options.title, Subject: options.version, CreationDate: options.date },
+    // The language screen readers read the text in, and the title viewers show instead of the file name
+    lang: options.locale,
+    displayTitle: true,
+  });
+  const { pieces, embedded } = registerFonts(doc, style.font);
+  if (rtl && !embedded) {
+    throw new Error(`right-to-left PDFs need the ${style.font} TrueType fonts installed (Helvetica has no Arabic or Hebrew)`);
+  }
+
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  const bottom = () => pageHeight - margins.bottom;
+
+  /** Left edge of a box laid out from the left, moved to the other side of the text column when right to left. */
+  const mirror = (x, width) => (rtl ? 2 * marginLeft + contentWidth - x - width : x);
+  /** Swap left and right alignment when right to left. */
+  const flip = (align) => (rtl ? { left: "right", right: "left" }[align] ?? align : align);
+
+  /** Move to text column `n` of the page (counted from the right when right to left). */
+  function setColumn(n) {
+    const fullWidth = pageWidth - margins.left - margins.right;
+    column = n;
+    contentWidth = (fullWidth - columnGap * (columns - 1)) / columns;
+    marginLeft = margins.left + (rtl ? columns - 1 - n : n) * (contentWidth + columnGap);
+  }
+
+  /** Move to the next column, or start a new page, unless `height` points still fit in this one. */
+  function ensureSpace(height) {
+    if (doc.y + height <= bottom()) return;
+    if (column < columns - 1) {
+      setColumn(column + 1);
+      doc.y = columnTop;
+    } else {
+      doc.addPage();
+      columnTop = doc.y;
+      if (columns > 1) setColumn(0);
+    }
+  }
+
+  // Horizontal padding inside keycaps and code spans
+  const KEY_PAD = 2.5;
+  const CODE_PAD = 1.5;
+
+  /** Font size of a run in text of the given size (keycaps are a little smaller). */
+  const runSize = (run, size) => (run.key ? size - 1 : size);
+
+  function lineHeight(size) {
+    return doc.font("regular").fontSize(size).currentLineHeight(true);
+  }
+
+  /** Width of `text` drawn in a run's style, including keycap/code padding. */
+  function fragmentWidth(run, text, size) {
+    const pad = run.key ? 2 * KEY_PAD : run.code ? 2 * CODE_PAD : 0;
+    return pieces(text, fontFor(run)).reduce((sum, piece) => (
+      sum + doc.font(piece.font).fontSize(runSize(run, size)).widthOfString(piece.text)
+    ), pad);
+  }
+
+  /**
+   * Break runs into lines no wider than `width`. Lines only break at spaces,
+   * so a word made of several runs (like "**Fn**,") stays together and a key
+   * name is never split.
+   *
+   * @returns {{width: number, fragments: {run: object, text: string, width: number}[]}[]}
+   */
+  function layoutRuns(runs, width, size) {
+    const words = [];
+    let space = null;     // run holding the whitespace before the next word
+    let inWord = false;
+    for (const run of runs) {
+      for (const part of run.key ? [run.text] : run.text.split(/(\s+)/)) {
+        if (part === "") continue;
+        if (/^\s+$/.test(part)) {
+          if (words.length) space = run;
+          inWord = false;
+          continue;
+        }
+        if (!inWord) {
+          words.push({ space, fragments: [] });
+          space = null;
+          inWord = true;
+        }
+        words[words.length - 1].fragments.push({ run, text: part, width: fragmentWidth(run, part, size) });
+      }
+    }
+
+    const lines = [];
+    let line = { width: 0, fragments: [] };
+    for (const w of words) {
+      const wordWidth = w.fragments.reduce((sum, f) => sum + f.width, 0);
+      const gap = line.fragments.length && w.space ? fragmentWidth(w.space, " ", size) : 0;
+      if (line.fragments.length && line.width + gap + wordWidth > width) {
+        lines.push(line);
+        line = { width: 0, fragments: [] };
+      } else if (gap) {
+        line.fragments.push({ run: w.space, text: " ", width: gap });
+        line.width += gap;
+      }
+      line.fragments.push(...w.fragments);
+      line.width += wordWidth;
+    }
+    lines.push(line);
+    return lines;
+  }
+
+  // Where each index term is used, in order: { term, page, destination }
+  const indexEntries = [];
+
+  /** Draw one fragment of a line with its top-left corner at (x, y). The first fragment of an index term marks its place. */
+  function drawFragment(fragment, x, y, size, opts, destination) {
+    const { run } = fragment;
+    if (run.index && options.index && !indexEntries.some((entry) => entry.run === run)) {
+      const entry = { run, term: run.index, page: doc.bufferedPageRange().count - 1, destination: `index-${indexEntries.length + 1}` };
+      indexEntries.push(entry);
+      doc.addNamedDestination(entry.destination, "XYZ", x, y, null);
+    }
+    const font = fontFor(run);
+    const height = lineHeight(size);
+    if (run.key) {
+      doc.roundedRect(x + 0.5, y, fragment.width - 1, height, 2)
+        .lineWidth(0.5).fillAndStroke(hex(style.keyBg), hex(style.keyBorder));
+    } else if (run.code) {
+      doc.rect(x, y, fragment.width, height).fill(hex(style.codeBg));
+    }
+    const link = run.ref || run.href;
+    const color = link ? style.brandBlue : run.menu ? style.darkBlue : run.color ?? opts.color ?? style.textColor;
+    let px = x + (run.key ? KEY_PAD : run.code ? CODE_PAD : 0);
+    pieces(fragment.text, font).forEach((piece, n) => {
+      doc.font(piece.font).fontSize(runSize(run, size)).fillColor(hex(color))
+        .text(piece.text, px, y + (size - runSize(run, size)) / 2, {
+          lineBreak: false,
+          underline: Boolean(link),
+          link: run.href ?? null,
+          goTo: run.ref ?? run.goTo ?? null,
+          destination: n === 0 ? destination : null,
+        });
+      px += doc.widthOfString(piece.text);
+    });
+  }
+
+  /**
+   * Write a paragraph made of styled runs (see guide/inline.js). Links and
+   * cross-references are drawn as links, `goTo` runs link without the link
+   * style, and `opts.destination` names the paragraph as a link target.
+   */
+  function writeRuns(runs, opts = {}) {
+    const width = opts.width ?? contentWidth;
+    const offset = (opts.x ?? marginLeft) - marginLeft;
+    const size = opts.size ?? bodySize;
+    const height = lineHeight(size);
+    layoutRuns(runs, width, size).forEach((line, n) => {
+      ensureSpace(height);
+      // A paragraph may carry on at the top of the next column
+      const x = mirror(marginLeft + offset, width);
+      const y = doc.y;
+      const align = flip(opts.align ?? "left");
+      let fx = x + (align === "center" ? (width - line.width) / 2 : align === "right" ? width - line.width : 0);
+      (rtl ? visualOrder(line.fragments) : line.fragments).forEach((fragment, i) => {
+        drawFragment(fragment, fx, y, size, opts, n === 0 && i === 0 ? opts.destination ?? null : null);
+        fx += fragment.width;
+      });
+      doc.y = y + height;
+    });
+    doc.y += opts.spacingAfter ?? 8;
+  }
+
+  /** Height of a run list laid out at `width`. */
+  function measureRuns(runs, width, size = bodySize) {
+    return layoutRuns(runs, width, size).length * lineHeight(size);
+  }
+
+  function titleBlock() {
+    if (options.logo) {
+      const width = options.logo.width * 0.75;
+      const height = options.logo.height * 0.75;
+      doc.image(options.logo.data, marginLeft + (contentWidth - width) / 2, doc.y, { width, height });
+      doc.y += height + 4;
+    } else {
+      writeRuns([{ text: "HushType" }], { size: 28, align: "center", spacingAfter: 4 });
+    }
+    writeRuns([{ text: labels.userGuide }], { align: "center", spacingAfter: 4 });
+    writeRuns([{ text: options.tagline, italics: true }], { align: "center", color: style.mutedColor, spacingAfter: 4 });
+    writeRuns([{ text: options.version }], { align: "center", color: style.mutedColor, spacingAfter: 18 });
+  }
+
+  // Page index of each heading, for the contents page numbers
+  const headingPages = new Map();
+  // Open outline (bookmark) items by level; index 0 is the document root
+  const outline = [doc.outline];
+
+  /**
+   * List every chapter and section, linked to its heading. Page numbers are
+   * only known once the guide is laid out, so fillContents() adds them later.
+   */
+  function contents() {
+    const title = style.headings[0];
+    writeRuns([{ text: labels.contents, bold: title.bold }], { size: title.size / 2, color: title.color, spacingAfter: 10 });
+    const lines = [];
+    const indexHeading = { type: "heading", level: 1, text: labels.index, id: INDEX_ID };
+    for (const entry of tableOfContents(options.index ? [...blocks, indexHeading] : blocks)) {
+      const indent = entry.level === 1 ? 0 : 18;
+      const size = entry.level === 1 ? bodySize : bodySize - 1;
+      ensureSpace(size * 1.6);
+      if (entry.level === 1 && lines.length) doc.y += 4;
+      lines.push({ ...entry, page: doc.bufferedPageRange().count - 1, y: doc.y, size });
+      writeRuns([{ text: entry.title, goTo: entry.id }], {
+        x: marginLeft + indent, width: contentWidth - indent - 36, size, spacingAfter: 3,
+      });
+    }
+    doc.addPage();
+    return lines;
+  }
+
+  function fillContents(lines) {
+    for (const line of lines) {
+      doc.switchToPage(line.page);
+      doc.font("regular").fontSize(line.size).fillColor(hex(style.textColor))
+        .text(String(headingPages.get(line.id) + 1), marginLeft, line.y, {
+          width: contentWidth, align: flip("right"), lineBreak: false, goTo: line.id,
+        });
+    }
+  }
+
+  /** A heading; `next` is the block after it, which it is kept with. */
+  function heading(block, next) {
+    const theme = style.headings[block.level - 1];
+    const size = theme.size / 2;
+    doc.y += theme.before / DXA_PER_PT;
+    // Keep the heading with at least a few lines of what follows, and with a heading straight after it
+    const sub = next?.type === "heading" ? style.headings[next.level - 1] : null;
+    ensureSpace(size * 1.2 + (sub ? (sub.before + sub.after) / DXA_PER_PT + (sub.size / 2) * 1.2 : 0) + bodySize * 4);
+    headingPages.set(block.id, doc.bufferedPageRange().count - 1);
+    // A heading that skips a level nests under the nearest open one
+    outline.length = Math.min(block.level, outline.length);
+    outline.push(outline[outline.length - 1].addItem(block.text.replace(/\*\*/g, "")));
+    writeRuns([{ text: block.text, bold: theme.bold }], {
+      size, color: theme.color, spacingAfter: theme.after / DXA_PER_PT, destination: block.id,
+    });
+  }
+
+  /** Draw a list bullet or step number in the hanging space before text indented by `indent`. */
+  function label(text, indent, hanging, font = "regular") {
+    const y = doc.y;
+    doc.font(font).fontSize(bodySize).fillColor(hex(style.textColor))
+      .text(text, mirror(marginLeft + indent - hanging, hanging), y, { width: hanging, align: flip("left"), lineBreak: false });
+    doc.y = y;
+  }
+
+  function list(block) {
+    const indent = 36;
+    const hanging = 18;
+    block.items.forEach((item, n) => {
+      const runs = parseInline(item);
+      ensureSpace(measureRuns(runs, contentWidth - indent));
+      label("•", indent, hanging);
+      writeRuns(runs, { x: marginLeft + indent, width: contentWidth - indent, spacingAfter: n === block.items.length - 1 ? 8 : 4 });
+    });
+  }
+
+  /** A numbered procedure: "1." steps with "a." sub-steps, each optionally followed by a screenshot. */
+  function procedure(steps, level = 0, closing = true) {
+    const indent = 36 * (level + 1);
+    const hanging = 18;
+    steps.forEach((step, n) => {
+      const runs = parseInline(step.text);
+      ensureSpace(measureRuns(runs, contentWidth - indent));
+      label(level === 0 ? `${n + 1}.` : `${String.fromCharCode(97 + (n % 26))}.`, indent, hanging, level === 0 ? "bold" : "regular");
+      // The procedure's last line gets paragraph spacing
+      const last = closing && n === steps.length - 1 && !step.screenshot;
+      writeRuns(runs, { x: marginLeft + indent, width: contentWidth - indent, spacingAfter: last && !step.steps.length ? 8 : 4 });
+      procedure(step.steps, level + 1, last);
+      if (step.screenshot) screenshot(step.screenshot, indent);
+    });
+  }
+
+  function callout(block) {
+    const warning = block.kind === "warning";
+    const pad = { x: 8, y: 5 };
+    const runs = parseInline(block.text);
+    const height = measureRuns(runs, contentWidth - 2 * pad.x) + 2 * pad.y;
+    ensureSpace(height);
+    const top = doc.y;
+    doc.rect(marginLeft, top, contentWidth, height)
+      .fillAndStroke(hex(warning ? style.warningBg : style.tipBg), hex(warning ? style.warningBorder : style.tipBorder));
+    doc.y = top + pad.y;
+    writeRuns(runs, { x: marginLeft + pad.x, width: contentWidth - 2 * pad.x, spacingAfter: 0 });
+    doc.y = top + height + 8;
+  }
+
+  /** Draw a screenshot (or its placeholder), indented by `indent` points when it belongs to a step. */
+  function screenshot(block, indent = 0) {
+    const img = options.loadScreenshot(block);
+    const left = marginLeft + indent;
+    const width = contentWidth - indent;
+    doc.y += 6;
+    if (!img) {
+      const placeholder = formatMessage(labels.screenshot, { caption: block.caption });
+      const height = measureRuns([{ text: placeholder, italics: true }], width, 10) + 16;
+      ensureSpace(height);
+      const top = doc.y;
+      const lineX = mirror(left, width);
+      doc.moveTo(lineX, top).lineTo(lineX + width, top)
+        .moveTo(lineX, top + height).lineTo(lineX + width, top + height)
+        .lineWidth(0.5).stroke("#CCCCCC");
+      doc.y = top + 8;
+      writeRuns([{ text: placeholder, italics: true }], { x: left, width, size: 10, align: "center", color: style.mutedColor, spacingAfter: 0 });
+      doc.y = top + height + 10;
+      return;
+    }
+    // Image sizes are in docx pixels (96 dpi); an indented image may need to shrink
+    const scale = Math.min(0.75, width / img.width);
+    const imgWidth = img.width * scale;
+    const imgHeight = img.height * scale;
+    ensureSpace(imgHeight + 20);
+    doc.image(img.data, mirror(left, width) + (width - imgWidth) / 2, doc.y, { width: imgWidth, height: imgHeight });
+    doc.y += imgHeight + 2;
+    writeRuns([{ text: block.caption, italics: true }], { x: left, width, size: 9, align: "center", color: style.mutedColor, spacingAfter: 10 });
+  }
+
+  function table(block) {
+    const pad = { x: 6, y: 4 };
+    const weights = block.widths && block.widths.length === block.rows[0].length
+      ? block.widths
+      : block.rows[0].map(() => 1);
+    const total = weights.reduce((a, b) => a + b, 0);
+    let colWidths = weights.map((w) => (w / total) * contentWidth);
+    const rowRuns = block.rows.map((cells, r) => cells.map((text) => parseInline(text, r === 0 ? { bold: true } : {})));
+
+    // Words don't break, so a column narrower than its longest word takes the
+    // difference from the columns with room to spare (in narrow card columns)
+    const needed = colWidths.map((_, c) => Math.max(
+      ...rowRuns.map((runs) => Math.max(...layoutRuns(runs[c], 0, bodySize).map((line) => line.width)))
+    ) + 2 * pad.x);
+    const short = colWidths.map((w, c) => Math.max(0, needed[c] - w));
+    const spare = colWidths.map((w, c) => (short[c] ? 0 : Math.max(0, w - needed[c])));
+    const shortTotal = short.reduce((a, b) => a + b, 0);
+    const spareTotal = spare.reduce((a, b) => a + b, 0);
+    if (shortTotal > 0 && spareTotal >= shortTotal) {
+      colWidths = colWidths.map((w, c) => (short[c] ? needed[c] : w - (spare[c] * shortTotal) / spareTotal));
+    }
+
+    const heights = rowRuns.map((cellRuns) => (
+      Math.max(...cellRuns.map((runs, c) => measureRuns(runs, colWidths[c] - 2 * pad.x))) + 2 * pad.y
+    ));
+
+    /** Draw row `r` at the current position; row 0 is the shaded header row. */
+    const drawRow = (r) => {
+      const top = doc.y;
+      let x = marginLeft;
+      rowRuns[r].forEach((runs, c) => {
+        const cellX = mirror(x, colWidths[c]);
+        if (r === 0) doc.rect(cellX, top, colWidths[c], heights[r]).fill(hex(style.tableHeaderBg));
+        doc.rect(cellX, top, colWidths[c], heights[r]).lineWidth(0.5).stroke(hex(style.tableBorder));
+        doc.y = top + pad.y;
+        writeRuns(runs, { x: x + pad.x, width: colWidths[c] - 2 * pad.x, spacingAfter: 0 });
+        x += colWidths[c];
+      });
+      doc.y = top + heights[r];
+    };
+
+    // The header row stays with the first row, and is repeated at the top of
+    // each page or column the table carries on in
+    heights.forEach((height, r) => {
+      if (r === 0) {
+        ensureSpace(height + (heights[1] ?? 0));
+      } else if (doc.y + height > bottom()) {
+        ensureSpace(heights[0] + height);
+        drawRow(0);
+      }
+      drawRow(r);
+    });
+    doc.y += 8;
+  }
+
+  /** The card's title and tagline across the top of the page, ruled off from the columns below. */
+  function banner() {
+    const title = style.headings[0];
+    writeRuns([{ text: options.title, bold: title.bold }], { size: title.size / 2, color: title.color, spacingAfter: 2 });
+    writeRuns([{ text: options.tagline, italics: true }], { color: style.mutedColor, spacingAfter: 6 });
+    doc.moveTo(marginLeft, doc.y).lineTo(marginLeft + contentWidth, doc.y).lineWidth(0.5).stroke(hex(style.tableBorder));
+    doc.y += 10;
+    columnTop = doc.y;
+    setColumn(0);
+  }
+
+  /** The closing page's lines, in small print at the end of the card. */
+  function cardFooter() {
+    doc.y += 4;
+    for (const line of options.footerLines) {
+      writeRuns([{ text: line }], { size: Math.min(7, bodySize), color: style.mutedColor, spacingAfter: 1 });
+    }
+  }
+
+  /**
+   * The index on a page of its own: each term under its initial letter, in
+   * the edition's alphabetical order, with the pages it is used on, each
+   * linked to the use.
+   */
+  function indexPage() {
+    doc.addPage();
+    heading({ level: 1, text: labels.index, id: INDEX_ID });
+    const terms = new Map();
+    for (const entry of indexEntries) {
+      const pages = terms.get(entry.term) ?? new Map();
+      if (!pages.has(entry.page)) pages.set(entry.page, entry.destination);
+      terms.set(entry.term, pages);
+    }
+    const sorted = [...terms.keys()].sort((a, b) => a.localeCompare(b, options.locale, { sensitivity: "base" }));
+    let letter = null;
+    for (const term of sorted) {
+      // "Ä" files under "A"
+      const initial = term.normalize("NFD")[0].toLocaleUpperCase(options.locale);
+      if (initial !== letter) {
+        letter = initial;
+        ensureSpace(lineHeight(bodySize) * 3);
+        doc.y += 4;
+        writeRuns([{ text: letter, bold: true }], { color: style.headings[1].color, spacingAfter: 2 });
+      }
+      const pages = [...terms.get(term)].flatMap(([page, destination], n) => [
+        ...(n ? [{ text: ", " }] : []),
+        { text: String(page + 1), goTo: destination },
+      ]);
+      writeRuns([{ text: `${term}, ` }, ...pages], { spacingAfter: 2 });
+    }
+  }
+
+  function closingPage() {
+    doc.addPage();
+    doc.y += 10;
+    for (const line of options.footerLines) {
+      writeRuns([{ text: line }], { size: 9, align: "center", color: style.mutedColor, spacingAfter: 2 });
+    }
+  }
+
+  /** Draw the running header and page-number footer on every page. */
+  function decoratePages() {
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      // Writing inside the margins would otherwise trigger a page break
+      const savedBottom = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+      doc.font("regular").fontSize(8).fillColor(hex(style.mutedColor));
+      doc.text(options.headerText, marginLeft, margins.top / 2, { width: contentWidth, align: flip("right"), lineBreak: false });
+      doc.text(formatMessage(labels.page, { page: i + 1 }), marginLeft, pageHeight - margins.bottom / 2 - 8, { width: contentWidth, align: "center", lineBreak: false });
+      doc.page.margins.bottom = savedBottom;
+    }
+  }
+
+  if (card) banner();
+  else titleBlock();
+  const contentsLines = card ? [] : contents();
+  blocks.forEach((block, i) => {
+    switch (block.type) {
+      case "heading":
+        heading(block, blocks[i + 1]);
+        break;
+      case "paragraph":
+        writeRuns(parseInline(block.text, block.italics ? { italics: true } : {}), { destination: block.id ?? null });
+        break;
+      case "list":
+        list(block);
+        break;
+      case "steps":
+        procedure(block.steps);
+        break;
+      case "callout":
+        callout(block);
+        break;
+      case "screenshot":
+        screenshot(block);
+        break;
+      case "table":
+        table(block);
+        break;
+    }
+  });
+  if (card) {
+    cardFooter();
+    const pages = doc.bufferedPageRange().count;
+    if (pages > 1) throw new Error(`the quick reference card runs to ${pages} pages; tag less of the guide with <!-- quick-reference -->`);
+  } else {
+    if (options.index) indexPage();
+    closingPage();
+    fillContents(contentsLines);
+    decoratePages();
+  }
+  doc.end();
+  return done;
+}
+
+module.exports = { renderPdf, pdfFontProblems, visualOrder };
@@ -0,0 +1,74 @@
+// guide/permissions.js — The permissions HushType asks for, taken from the app
+//
+// Reads the rows of the permissions window from PermissionsWindowController.swift
+// and builds the "Permissions at a glance" table from them, so the guide and
+// the quick reference card list the same permissions, in the same order, with
+// the same button names as the app.
+
+const { parseInitializers, readSwift } = require("./swift");
+
+// What each permission is for, from the user's side. The app only knows each
+// row's title and button; {button} is filled in with the button's title.
+const PERMISSION_NOTES = {
+  "Microphone": { without: "App cannot function at all", grant: "System dialog on first use" },
+  "Accessibility": { without: "Text copied to clipboard instead of typed", grant: "Manually add in System Settings" },
+  "App Management": { without: "Updates may be blocked", grant: "{button} button → System Settings" },
+};
+
+// Required permissions have an "Enable" button; optional ones say "Setup…"
+const REQUIRED_BUTTON = "Enable";
+
+/**
+ * Read the rows of the permissions window.
+ *
+ * @param {string} sourcesDir - Sources/HushType
+ * @returns {{permissions: {title: string, description: string, button: string, required: boolean}[], warnings: string[]}}
+ */
+function loadPermissions(sourcesDir) {
+  const source = readSwift(sourcesDir, "PermissionsWindowController.swift");
+  const rows = parseInitializers(source, "PermissionRow");
+  if (rows.length === 0 || rows.some((row) => !row.title || !row.buttonTitle)) {
+    throw new Error("Could not read the PermissionRow entries (title and buttonTitle) from PermissionsWindowController.swift");
+  }
+
+  const warnings = [];
+  for (const row of rows) {
+    if (!PERMISSION_NOTES[row.title]) {
+      warnings.push(`Permission "${row.title}" has no entry in PERMISSION_NOTES (guide/permissions.js)`);
+    }
+  }
+  for (const title of Object.keys(PERMISSION_NOTES)) {
+    if (!rows.some((row) => row.title === title)) {
+      warnings.push(`PERMISSION_NOTES lists "${title}", which is no longer in the permissions window`);
+    }
+  }
+
+  const permissions = rows.map((row) => ({
+    title: row.title,
+    description: row.description ?? "",
+    button: row.buttonTitle,
+    required: row.buttonTitle === REQUIRED_BUTTON,
+  }));
+  return { permissions, warnings };
+}
+
+/** The "Permissions at a glance" table. */
+function permissionsTable(data) {
+  return {
+    type: "table",
+    widths: [2000, 4360, 3000],
+    rows: [
+      ["Permission", "What happens without it", "How to grant"],
+      ...data.permissions.map((p) => {
+        const notes = PERMISSION_NOTES[p.title] ?? { without: "—", grant: "—" };
+        return [
+          `**${p.title}**`,
+          p.required ? notes.without : `${notes.without} (recommended, not required)`,
+          notes.grant.replace("{button}", p.button),
+        ];
+      }),
+    ],
+  };
+}
+
+module.exports = { loadPermissions, permissionsTable };
@@ -0,0 +1,263 @@
+// guide/preview.js — Rebuild the guide on every change and preview it in a browser
+//
+// `node create-guide.js --watch` serves the guide as a web page on
+// http://localhost:4000/ and rebuilds it whenever one of the files it is made
+// from changes: the guide source, translations, themes and lint rules, the
+// build scripts, the app's sources, the appcast, the release notes and the
+// screenshots. The page reloads itself after each build.
+//
+// Notes in the page point out what a release build would complain about:
+// build warnings, screenshots still shown as placeholders, lint problems
+// (English only, as for --lint) and text without a translation. Each sits
+// below the block its source line belongs to; notes on the build as a whole
+// sit above the title. A build that fails shows its error until the next one
+// succeeds. Nothing is written to disk.
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { escapeHtml } = require("./html");
+
+// Wait this long after a change, so an editor's save is one rebuild
+const SETTLE_MS = 200;
+
+const IMAGE_TYPES = { ".png": "image/png", ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".gif": "image/gif" };
+
+// The page reloads when the server says the guide was rebuilt
+const RELOAD_SCRIPT = `  <script>new EventSource("/events").onmessage = () => location.reload();</script>
+`;
+
+const NOTE_STYLE = `  <style>
+    .preview-notes { list-style: none; margin: 0.5rem 0 1rem; padding: 0; font: 0.8rem/1.4 Menlo, monospace; }
+    .preview-notes li { border-inline-start: 4px solid; padding: 0.3rem 0.6rem; margin: 0.2rem 0; white-space: pre-wrap; }
+    .preview-notes .warning { border-color: #C62828; background: #FDECEA; }
+    .preview-notes .screenshot { border-color: #6A1B9A; background: #F3E5F5; }
+    .preview-notes .lint { border-color: #EF6C00; background: #FFF3E0; }
+    .preview-notes .translation { border-color: #1565C0; background: #E3F2FD; }
+  </style>
+`;
+
+/**
+ * What the preview points out about a build, as { line, kind, message }
+ * with line null for the build as a whole.
+ *
+ * @param {object} guide - From buildGuide().
+ * @param {?object} lintRules - From loadLintRules(), or null not to lint.
+ */
+function previewNotes(guide, lintRules) {
+  const notes = [];
+  const add = (kind, w) => notes.push(typeof w === "string" ? { line: null, kind, message: w } : { line: w.line, kind, message: w.message });
+  for (const w of guide.warnings) add("warning", w);
+  for (const p of guide.screenshotProblems(["html"]).placeholders) add("screenshot", p);
+  if (lintRules) {
+    for (const p of guide.lint(lintRules)) add("lint", { line: p.line, message: `${p.message} [${p.rule}]` });
+  }
+  for (const m of guide.catalog.missing) {
+    add("translation", { line: m.line, message: `no ${guide.catalog.language} translation for "${m.text}"` });
+  }
+  return notes;
+}
+
+/**
+ * Put each note below the last block that starts on or before its line.
+ * Plugin chapters come from other files, so they get none.
+ *
+ * @returns {{top: object[], byBlock: Map<object, object[]>}}
+ */
+function placeNotes(blocks, notes) {
+  const anchors = blocks.filter((b) => b.section === undefined && b.line !== undefined);
+  const top = [];
+  const byBlock = new Map();
+  for (const note of notes) {
+    const block = note.line === null ? undefined : anchors.findLast((b) => b.line <= note.line);
+    if (!block) {
+      top.push(note);
+      continue;
+    }
+    if (!byBlock.has(block)) byBlock.set(block, []);
+    byBlock.get(block).push(note);
+  }
+  return { top, byBlock };
+}
+
+/** Notes as a list, each with its "file:line" when it has one. */
+function notesHtml(notes, file) {
+  if (notes.length === 0) return "";
+  const items = notes.map((note) => {
+    const where = note.line === null ? "" : `${file}:${note.line}: `;
+    return `  <li class="${note.kind}">${escapeHtml(where + note.message)}</li>`;
+  });
+  return `<ul class="preview-notes">\n${items.join("\n")}\n</ul>\n`;
+}
+
+/** The page shown while the guide doesn't build. */
+function errorPage(err) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>The guide doesn't build</title>
+${NOTE_STYLE}${RELOAD_SCRIPT}</head>
+<body>
+<ul class="preview-notes">
+  <li class="warning">${escapeHtml(err.stack ?? String(err))}</li>
+</ul>
+</body>
+</html>
+`;
+}
+
+/**
+ * Serve the guide on localhost and rebuild it when anything in `paths`
+ * changes. Only returns (by failing) when the server can't start.
+ *
+ * @param {object} options
+ * @param {object} options.buildOptions - For buildGuide(); the theme by name or file, so edits to it are picked up.
+ * @param {string[]} options.paths - Files and folders to watch (folders with everything in them).
+ * @param {number} options.port
+ * @param {string} options.screenshotsDir - Served as the page's folder, so its images load as they are.
+ * @param {string} options.lintRulesFile - guide/lint-rules.json
+ * @param {function(string): string} options.shown - A path as shown in messages.
+ * @returns {Promise<void>}
+ */
+function watchGuide(options) {
+  const dir = options.screenshotsDir;
+  const clients = new Set();
+  let page = null;
+
+  function rebuild() {
+    // Fresh copies of the build modules, so edits to them take effect too
+    for (const file of Object.keys(require.cache)) {
+      if (path.dirname(file) === __dirname && file !== __filename) delete require.cache[file];
+    }
+    const started = Date.now();
+    try {
+      const { buildGuide } = require("./build");
+      const { loadLintRules } = require("./lint");
+      const guide = buildGuide(options.buildOptions);
+      const notes = previewNotes(guide, guide.options.locale === "en" ? loadLintRules(options.lintRulesFile) : null);
+      const { top, byBlock } = placeNotes(guide.blocks, notes);
+      const file = options.shown(guide.file);
+      const { html, images } = guide.html(dir, {
+        head: NOTE_STYLE + RELOAD_SCRIPT,
+        banner: notesHtml(top, file),
+        after: (block) => (byBlock.has(block) ? notesHtml(byBlock.get(block), file) : null),
+      });
+      // Annotated screenshots are served from memory at the path the page expects
+      const urls = images.map((img) => [`/${path.relative(dir, img.file).split(path.sep).join("/")}`, img.data]);
+      page = { html, images: new Map(urls) };
+      console.log(`Rebuilt in ${Date.now() - started} ms${notes.length ? `, ${notes.length} note${notes.length === 1 ? "" : "s"}` : ""}`);
+    } catch (err) {
+      page = { html: errorPage(err), images: new Map() };
+      console.error(`Error creating guide: ${err.message}`);
+    }
+    for (const res of clients) res.write("data: rebuilt\n\n");
+  }
+
+  /** A screenshot from `dir` for a URL path, or null for anything outside it or not an image. */
+  function readImageFile(urlPath) {
+    const file = path.join(dir, urlPath);
+    const relative = path.relative(dir, file);
+    if (relative.startsWith("..") || path.isAbsolute(relative) || !IMAGE_TYPES[path.extname(file).toLowerCase()]) return null;
+    return fs.existsSync(file) && fs.statSync(file).isFile() ? fs.readFileSync(file) : null;
+  }
+
+  const server = http.createServer((req, res) => {
+    let urlPath;
+    try {
+      urlPath = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+    } catch {
+      urlPath = null;
+    }
+    if (urlPath === "/") {
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "no-store" });
+      res.end(page.html);
+    } else if (urlPath === "/events") {
+      res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-store" });
+      res.write(": connected\n\n");
+      clients.add(res);
+      req.on("close", () => clients.delete(res));
+    } else {
+      const data = urlPath && (page.images.get(urlPath) ?? readImageFile(urlPath));
+      if (data) {
+        res.writeHead(200, { "Content-Type": IMAGE_TYPES[path.extname(urlPath).toLowerCase()], "Cache-Control": "no-store" });
+        res.end(data);
+      } else {
+        res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+        res.end("Not found\n");
+      }
+    }
+  });
+
+  // Each folder is watched on its own, and a file through its folder: editors
+  // often save by replacing the file, which a watch on the file itself misses.
+  // A path that doesn't exist yet is watched through the nearest folder that
+  // does, and the folders are scanned again after every change, so a folder
+  // created while previewing (docs/release-notes/, a locale's screenshots) is
+  // watched from then on.
+  let timer = null;
+  const changed = (file) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      console.log(`Changed: ${options.shown(file)}`);
+      watchPaths();
+      rebuild();
+    }, SETTLE_MS);
+  };
+  const folders = (folder) => [
+    folder,
+    ...fs.readdirSync(folder, { withFileTypes: true }).filter((e) => e.isDirectory()).flatMap((e) => folders(path.join(folder, e.name))),
+  ];
+  // Watched folders, and the names in each that matter (null for everything)
+  const watchers = new Map();
+  let accepted = new Map();
+
+  /** Watch the folders `options.paths` needs now, and stop watching those it no longer does. */
+  function watchPaths() {
+    const wanted = new Map();
+    const want = (folder, name) => {
+      const names = wanted.get(folder);
+      wanted.set(folder, name === null || names === null ? null : new Set([...(names ?? []), name]));
+    };
+    for (const target of options.paths) {
+      if (!fs.existsSync(target)) {
+        let missing = target;
+        while (!fs.existsSync(path.dirname(missing))) missing = path.dirname(missing);
+        want(path.dirname(missing), path.basename(missing));
+      } else if (fs.statSync(target).isDirectory()) {
+        for (const folder of folders(target)) want(folder, null);
+      } else {
+        want(path.dirname(target), path.basename(target));
+      }
+    }
+    for (const [folder, watcher] of watchers) {
+      if (wanted.has(folder)) continue;
+      watcher.close();
+      watchers.delete(folder);
+    }
+    for (const folder of wanted.keys()) {
+      if (watchers.has(folder)) continue;
+      const watcher = fs.watch(folder, (event, name) => {
+        const names = accepted.get(folder);
+        if (!name || (names !== null && !names?.has(name))) return;
+        // A deleted folder reports itself by name, as if it were inside itself
+        changed(fs.existsSync(folder) ? path.join(folder, name) : folder);
+      });
+      // A folder deleted while watched is dropped at the next scan
+      watcher.on("error", () => {});
+      watchers.set(folder, watcher);
+    }
+    accepted = wanted;
+  }
+
+  watchPaths();
+  rebuild();
+  return new Promise((_, reject) => {
+    server.on("error", reject);
+    server.listen(options.port, "127.0.0.1", () => {
+      console.log(`Previewing the guide on http://localhost:${options.port}/ (Ctrl+C to stop)`);
+    });
+  });
+}
+
+module.exports = { watchGuide };
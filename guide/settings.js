@@ -0,0 +1,166 @@
+// guide/settings.js — The Settings chapter's facts, taken from the app
+//
+// Builds the settings reference table and the {{settings.…}} placeholder
+// values from Models/AppSettings.swift and SettingsWindowController.swift, and
+// checks the hand-written Settings prose against them so the guide warns when
+// it describes an option, section or default the app no longer has.
+
+const { parseEnum, parseSettingsClass, stringLiterals, readSwift } = require("./swift");
+const { formatMessage } = require("./i18n");
+
+// How each AppSettings property appears in the Settings window. Swift only
+// knows Bool/String values, so their user-facing names live here; enum-typed
+// settings take their names from the enum's shortName/displayName.
+//   section   Settings window section (an addSectionHeader title)
+//   label     Name used in the guide's table
+//   uiLabel   Control label in the window, when it differs from `label`
+//   values    Display names for raw values ("true", "false", "null")
+//   options   Description of the choices when they aren't a fixed list
+//   default   Override for settings whose getter has no literal default
+const SETTING_DOCS = [
+  { key: "startAtLogin", section: "General", label: "Start HushType at login", values: { true: "On", false: "Off" }, default: false },
+  { key: "triggerKey", section: "Activation", label: "Trigger key" },
+  { key: "modelSize", section: "Whisper Model", label: "Model", uiLabel: "Current", options: "Any Whisper model" },
+  { key: "language", section: "Language", label: "Language", values: { null: "Auto-detect" }, options: "Auto-detect or a specific language" },
+  { key: "useClipboardInjection", section: "Text Injection", label: "Method", values: { true: "Clipboard paste (⌘V)", false: "Simulated keystrokes" } },
+  { key: "audioInputDeviceID", section: "Audio Input", label: "Input device", values: { null: "System Default" }, options: "System Default or a specific microphone" },
+  { key: "showOverlay", section: "Display", label: "Show recording overlay", values: { true: "On", false: "Off" } },
+  { key: "menuBarIconStyle", section: "Display", label: "Menu bar icon" },
+];
+
+const PLAIN_TYPES = ["Bool", "String", "String?"];
+
+/**
+ * Read every documented setting, its choices and its default.
+ *
+ * @param {string} sourcesDir - Sources/HushType
+ * @returns {{settings: object[], sections: string[], literals: Set<string>, warnings: string[]}}
+ */
+function loadSettings(sourcesDir) {
+  const settingsSource = readSwift(sourcesDir, "Models/AppSettings.swift");
+  const windowSource = readSwift(sourcesDir, "SettingsWindowController.swift");
+  const swiftSettings = parseSettingsClass(settingsSource, "AppSettings");
+  const sections = [...windowSource.matchAll(/addSectionHeader\("([^"]+)"/g)].map((m) => m[1]);
+  const literals = new Set([...stringLiterals(settingsSource), ...stringLiterals(windowSource)]);
+  const warnings = [];
+
+  for (const setting of swiftSettings) {
+    if (!SETTING_DOCS.some((doc) => doc.key === setting.name)) {
+      warnings.push(`AppSettings.${setting.name} is not described in SETTING_DOCS (guide/settings.js)`);
+    }
+  }
+
+  const settings = [];
+  for (const doc of SETTING_DOCS) {
+    const swift = swiftSettings.find((s) => s.name === doc.key);
+    if (!swift) {
+      warnings.push(`SETTING_DOCS lists "${doc.key}", which no longer exists in AppSettings.swift`);
+      continue;
+    }
+    if (!sections.includes(doc.section)) {
+      warnings.push(`Setting "${doc.key}" is filed under "${doc.section}", which is not a Settings window section`);
+    }
+    const uiLabel = doc.uiLabel ?? doc.label;
+    if (!literals.has(uiLabel) && !literals.has(`${uiLabel}:`)) {
+      warnings.push(`Setting "${doc.key}" is labelled "${uiLabel}", which does not appear in the Settings window`);
+    }
+
+    let choices;
+    let nameOf;
+    if (PLAIN_TYPES.includes(swift.type)) {
+      nameOf = (value) => doc.values?.[String(value)] ?? String(value);
+      choices = doc.options ? null : Object.values(doc.values ?? {});
+    } else {
+      const e = parseEnum(settingsSource, swift.type);
+      if (!e) {
+        warnings.push(`Enum ${swift.type} (for "${doc.key}") was not found in AppSettings.swift`);
+        continue;
+      }
+      const names = e.properties.shortName ?? e.properties.displayName ?? {};
+      nameOf = (value) => names[String(value).replace(/^\./, "")] ?? String(value).replace(/^\./, "");
+      choices = e.cases.map(nameOf);
+    }
+
+    const def = swift.default !== undefined ? swift.default : doc.default;
+    settings.push({
+      key: doc.key,
+      section: doc.section,
+      label: doc.label,
+      choices,
+      options: doc.options ?? choices.join(", "),
+      default: def === undefined ? null : nameOf(def),
+    });
+  }
+  return { settings, sections, literals, warnings };
+}
+
+/** The settings reference as a guide table block. */
+function settingsTable(ref) {
+  return {
+    type: "table",
+    widths: [2, 2.4, 3.4, 2.2],
+    rows: [
+      ["Section", "Setting", "Options", "Default"],
+      ...ref.settings.map((s) => [s.section, `**${s.label}**`, s.options, s.default ?? "—"]),
+    ],
+  };
+}
+
+/** Values for {{settings.…}} placeholders in the guide text. `t` translates the "(the default)" label. */
+function settingsValues(ref, t = formatMessage) {
+  const values = { "settings.sectionCount": ref.sections.length };
+  for (const s of ref.settings) {
+    values[`settings.${s.key}.default`] = s.default ?? "";
+    if (s.choices) {
+      values[`settings.${s.key}.choices`] = s.choices.map((c) => (c === s.default ? t("{choice} (the default)", { choice: c }) : c));
+    }
+  }
+  return values;
+}
+
+/**
+ * Check the Settings chapter against the app. Returns { line, message }
+ * warnings for headings that aren't window sections (and vice versa), bold
+ * control labels the window doesn't have, and "The default is "X"" claims
+ * that match no setting's default.
+ */
+function checkSettingsProse(blocks, ref) {
+  const warnings = [];
+  const start = blocks.findIndex((b) => b.type === "heading" && b.level === 1 && b.text === "Settings");
+  if (start === -1) return [{ line: 0, message: 'No "Settings" chapter found' }];
+  let end = blocks.findIndex((b, i) => i > start && b.type === "heading" && b.level === 1);
+  if (end === -1) end = blocks.length;
+  const chapter = blocks.slice(start + 1, end);
+
+  const described = new Set();
+  for (const block of chapter) {
+    if (block.type === "heading" && block.level === 2) {
+      described.add(block.text);
+      if (!ref.sections.includes(block.text)) {
+        warnings.push({ line: block.line, message: `"${block.text}" is not a section of the Settings window` });
+      }
+    }
+    const m = block.type === "paragraph" && /^\*\*([^*]+)\*\*\s+—/.exec(block.text);
+    if (m && !ref.literals.has(m[1]) && !ref.literals.has(`${m[1]}:`)) {
+      warnings.push({ line: block.line, message: `"${m[1]}" is not an option in the Settings window` });
+    }
+  }
+  for (const section of ref.sections) {
+    if (!described.has(section)) {
+      warnings.push({ line: blocks[start].line, message: `Settings window section "${section}" is not described` });
+    }
+  }
+
+  const defaults = new Set(ref.settings.map((s) => s.default).filter(Boolean));
+  for (const block of blocks) {
+    if (block.type !== "paragraph" && block.type !== "callout") continue;
+    for (const m of block.text.matchAll(/[Tt]he default is [“"]([^”"]+)[”"]/g)) {
+      if (!defaults.has(m[1])) {
+        warnings.push({ line: block.line, message: `"${m[1]}" is not the default of any setting` });
+      }
+    }
+  }
+  return warnings;
+}
+
+module.exports = { loadSettings, settingsTable, settingsValues, checkSettingsProse };
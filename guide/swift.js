@@ -0,0 +1,142 @@
+// guide/swift.js — Read facts out of HushType's Swift sources
+//
+// The guide documents enums, defaults and UI labels that are defined in the
+// app itself. Rather than retyping them, guide/build.js extracts them with
+// these deliberately simple, pattern-based readers. They understand the way
+// this codebase writes Swift, not Swift in general.
+
+const fs = require("fs");
+const path = require("path");
+
+/** Return the text between the brace that opens at or after `start` and its match. */
+function braceBody(source, start) {
+  const open = source.indexOf("{", start);
+  if (open === -1) return null;
+  let depth = 0;
+  for (let i = open; i < source.length; i++) {
+    if (source[i] === "{") depth++;
+    else if (source[i] === "}" && --depth === 0) return source.slice(open + 1, i);
+  }
+  return null;
+}
+
+/**
+ * Read a `enum Name: String` declaration: its cases in order, and any
+ * `var prop: String { switch self { case .x: return "…" } }` properties.
+ *
+ * @returns {?{name: string, cases: string[], properties: Object<string, Object<string, string>>}}
+ */
+function parseEnum(source, name) {
+  const decl = new RegExp(`\\benum\\s+${name}\\b[^{]*`).exec(source);
+  if (!decl) return null;
+  const body = braceBody(source, decl.index);
+  const cases = [...body.matchAll(/^\s*case\s+(\w+)\b/gm)].map((m) => m[1]);
+
+  const properties = {};
+  for (const m of body.matchAll(/\bvar\s+(\w+)\s*:\s*String\s*\{/g)) {
+    const values = {};
+    for (const c of braceBody(body, m.index).matchAll(/case\s+\.(\w+)\s*:\s*return\s+"([^"]*)"/g)) {
+      values[c[1]] = c[2];
+    }
+    if (Object.keys(values).length > 0) properties[m[1]] = values;
+  }
+  return { name, cases, properties };
+}
+
+/**
+ * Read the stored properties of a settings class and the default each getter
+ * falls back to. Defaults are a string, boolean, enum case name (".fn"), null
+ * for optionals that default to nil, or undefined when the getter computes the
+ * value some other way.
+ *
+ * @returns {{name: string, type: string, doc: string, default: *}[]}
+ */
+function parseSettingsClass(source, className) {
+  const decl = new RegExp(`\\bclass\\s+${className}\\b[^{]*`).exec(source);
+  if (!decl) return [];
+  const body = braceBody(source, decl.index);
+  const settings = [];
+  const pattern = /((?:^[ \t]*\/\/\/.*\n)*)^[ \t]*var\s+(\w+)\s*:\s*([\w?.]+)\s*\{/gm;
+  for (const m of body.matchAll(pattern)) {
+    const doc = m[1].split("\n").map((line) => line.replace(/^\s*\/\/\/\s?/, "")).filter(Boolean).join(" ");
+    const accessor = braceBody(body, m.index + m[0].length - 1);
+    const getter = /\bget\s*\{/.exec(accessor) ? braceBody(accessor, /\bget\s*\{/.exec(accessor).index) : accessor;
+    let def;
+    let d;
+    if ((d = /\?\?\s*"([^"]*)"/.exec(getter))) def = d[1];
+    else if ((d = /==\s*nil\s*\{\s*return\s+(true|false)\b/.exec(getter))) def = d[1] === "true";
+    else if ((d = [...getter.matchAll(/\breturn\s+\.(\w+)\s*$/gm)].pop())) def = `.${d[1]}`;
+    else if (m[3].endsWith("?")) def = null;
+    settings.push({ name: m[2], type: m[3], doc, default: def });
+  }
+  return settings;
+}
+
+/** Read `static let name = "value"`. */
+function parseStaticString(source, name) {
+  const m = new RegExp(`\\bstatic\\s+let\\s+${name}\\s*=\\s*"([^"]*)"`).exec(source);
+  return m ? m[1] : null;
+}
+
+/** Read the body of `static let name… = [ … ]` (up to the matching bracket). */
+function arrayLiteral(source, name) {
+  const decl = new RegExp(`\\bstatic\\s+let\\s+${name}\\b[^=]*=\\s*\\[`).exec(source);
+  if (!decl) return null;
+  let depth = 0;
+  const open = decl.index + decl[0].length - 1;
+  for (let i = open; i < source.length; i++) {
+    if (source[i] === "[") depth++;
+    else if (source[i] === "]" && --depth === 0) return source.slice(open + 1, i);
+  }
+  return null;
+}
+
+/** Read a `static let name = ["a", "b", …]` string array. */
+function parseStringArray(source, name) {
+  const body = arrayLiteral(source, name);
+  return body === null ? null : [...body.matchAll(/"([^"]*)"/g)].map((m) => m[1]);
+}
+
+/** Read a `static let name = [(a, b), …]` array of two-element tuples; nil becomes null. */
+function parsePairArray(source, name) {
+  const body = arrayLiteral(source, name);
+  if (body === null) return null;
+  const value = (v) => (v === "nil" ? null : v.slice(1, -1));
+  return [...body.matchAll(/\(\s*(nil|"[^"]*")\s*,\s*(nil|"[^"]*")\s*\)/g)].map((m) => [value(m[1]), value(m[2])]);
+}
+
+/**
+ * Read every `Name(label: "…", …)` call in order: the arguments given as
+ * string literals, by label. Other arguments (selectors, numbers) are left out.
+ *
+ * @returns {Object<string, string>[]}
+ */
+function parseInitializers(source, name) {
+  const calls = [];
+  for (const m of source.matchAll(new RegExp(`\\b${name}\\(`, "g"))) {
+    let depth = 0;
+    let end = m.index + m[0].length - 1;
+    for (; end < source.length; end++) {
+      if (source[end] === "(") depth++;
+      else if (source[end] === ")" && --depth === 0) break;
+    }
+    const args = source.slice(m.index + m[0].length, end);
+    calls.push(Object.fromEntries([...args.matchAll(/(\w+)\s*:\s*"((?:[^"\\\n]|\\.)*)"/g)].map((a) => [a[1], a[2]])));
+  }
+  return calls;
+}
+
+/** All string literals in the given source text (escaped quotes are not supported). */
+function stringLiterals(source) {
+  return [...source.matchAll(/"((?:[^"\\\n]|\\.)*)"/g)].map((m) => m[1]);
+}
+
+/** Read a Swift file relative to the app's source directory. */
+function readSwift(sourcesDir, relative) {
+  return fs.readFileSync(path.join(sourcesDir, relative), "utf8");
+}
+
+module.exports = {
+  parseEnum, parseSettingsClass, parseStaticString, parseStringArray, parsePairArray, parseInitializers, stringLiterals,
+  readSwift,
+};
@@ -0,0 +1,164 @@
+// guide/theme.js — Page setup, fonts and colours for the guide
+//
+// A theme is a JSON file in guide/themes/ (or anywhere, given by path):
+//
+//   {
+//     "extends": "letter",
+//     "page": { "size": "A4", "margins": { "top": "25mm", … } },
+//     "fonts": { "body": "Arial", "code": "Courier New", "size": 11 },
+//     "headings": [{ "size": 16, "color": "brand", "spaceBefore": 18, "spaceAfter": 6 }, …],
+//     "colors": { "brand": "2E74B5", … },
+//     "callouts": { "tip": { "background": "F0F7FD", "border": "B8D4E8" }, … },
+//     "screenshots": { "maxHeight": "4in" },
+//     "quickReference": { "margins": "0.5in", "columnGap": "0.25in", "fontSize": 8.5 },
+//     "header": "HushType User Guide — {version}",
+//     "footer": "Page {page}"
+//   }
+//
+// "extends" names another theme whose settings this one overrides, so a
+// preset only lists what it changes. Lengths are points unless they carry a
+// unit (pt, mm, cm or in); font sizes are points. Colours are six hex digits;
+// heading colours may also name an entry in "colors". "muted" is the grey of
+// captions, the running header and footer and other small print; like every
+// text colour it should pass `--a11y-check` (see guide/a11y.js) on the
+// backgrounds it sits on. Header and footer text may use {version}, and the
+// footer {page}. "quickReference" sets up the one-page card: its margins on
+// every side, the space between its two columns, and its body text size
+// (headings shrink in proportion). loadTheme() returns everything in points,
+// and guide/build.js converts to Word's units.
+
+const fs = require("fs");
+const path = require("path");
+
+// Paper sizes in points
+const PAPER_SIZES = {
+  letter: { width: 612, height: 792 },
+  legal: { width: 612, height: 1008 },
+  a4: { width: 595.28, height: 841.89 },
+  a5: { width: 419.53, height: 595.28 },
+};
+
+const POINTS_PER_UNIT = { pt: 1, mm: 72 / 25.4, cm: 72 / 2.54, in: 72 };
+
+// Colours every theme must define (headings may add their own)
+const REQUIRED_COLORS = ["brand", "dark", "text", "muted", "tableHeader", "tableBorder", "codeBackground", "keyBackground", "keyBorder", "annotation"];
+
+/** Merge `override` into `base`; objects merge key by key, anything else replaces. */
+function merge(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    const plain = value && typeof value === "object" && !Array.isArray(value);
+    merged[key] = plain && base[key] && typeof base[key] === "object" ? merge(base[key], value) : value;
+  }
+  return merged;
+}
+
+/** Read a theme file and everything it extends. */
+function readTheme(themesDir, nameOrFile, seen = []) {
+  const file = /[\\/]|\.json$/.test(nameOrFile)
+    ? path.resolve(nameOrFile)
+    : path.join(themesDir, `${nameOrFile}.json`);
+  if (seen.includes(file)) throw new Error(`${file}: themes extend each other in a loop`);
+  if (!fs.existsSync(file)) throw new Error(`no theme "${nameOrFile}" (expected ${file})`);
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+  const { extends: parent, ...own } = data;
+  if (!parent) return { data: own, file };
+  // A parent is looked up next to the theme that names it, then among the presets
+  const sibling = path.join(path.dirname(file), `${parent}.json`);
+  const base = readTheme(fs.existsSync(sibling) ? path.dirname(file) : themesDir, parent, [...seen, file]);
+  return { data: merge(base.data, own), file };
+}
+
+/**
+ * Load a theme by name (guide/themes/<name>.json) or path, resolving
+ * "extends" and converting every length to points.
+ *
+ * @returns {{file: string, name: string, page: {width: number, height: number, margins: {top: number, right: number, bottom: number, left: number}}, fonts: {body: string, code: string, size: number}, headings: {size: number, color: string, bold: boolean, spaceBefore: number, spaceAfter: number}[], colors: Object<string, string>, callouts: {tip: {background: string, border: string}, warning: {background: string, border: string}}, screenshots: {maxHeight: number}, quickReference: {margins: number, columnGap: number, fontSize: number}, header: string, footer: string}}
+ */
+function loadTheme(themesDir, nameOrFile) {
+  const { data, file } = readTheme(themesDir, nameOrFile);
+  const fail = (message) => {
+    throw new Error(`${file}: ${message}`);
+  };
+
+  const length = (value, name) => {
+    const m = /^(\d+(?:\.\d+)?)\s*(pt|mm|cm|in)?$/.exec(String(value ?? "").trim());
+    if (!m) fail(`${name} should be a length such as 72, "25mm" or "1in", got ${JSON.stringify(value)}`);
+    return Number(m[1]) * POINTS_PER_UNIT[m[2] ?? "pt"];
+  };
+  const hex = (value, name) => {
+    if (!/^[0-9A-Fa-f]{6}$/.test(value ?? "")) fail(`${name} should be a colour such as "2E74B5", got ${JSON.stringify(value)}`);
+    return value.toUpperCase();
+  };
+  const colors = Object.fromEntries(Object.entries(data.colors ?? {}).map(([key, value]) => [key, hex(value, `colors.${key}`)]));
+  const absent = REQUIRED_COLORS.filter((key) => !colors[key]);
+  if (absent.length) fail(`colors is missing ${absent.join(", ")}`);
+  /** A colour, or the name of one in "colors". */
+  const color = (value, name) => colors[value] ?? hex(value, name);
+
+  const page = data.page ?? {};
+  const size = typeof page.size === "string" ? PAPER_SIZES[page.size.toLowerCase()] : page.size;
+  if (!size) fail(`page.size should be one of ${Object.keys(PAPER_SIZES).join(", ")} or { "width", "height" }`);
+  const margins = Object.fromEntries(["top", "right", "bottom", "left"].map((side) => (
+    [side, length(page.margins?.[side], `page.margins.${side}`)]
+  )));
+  const width = length(size.width, "page.size.width");
+  const height = length(size.height, "page.size.height");
+  if (margins.left + margins.right >= width / 2) fail("the left and right margins leave less than half the page for text");
+
+  const fonts = data.fonts ?? {};
+  if (!fonts.body || !fonts.code) fail("fonts.body and fonts.code are required");
+  if (!(fonts.size > 0)) fail("fonts.size should be a size in points");
+
+  if (!Array.isArray(data.headings) || data.headings.length !== 3) fail("headings should list styles for levels 1, 2 and 3");
+  const headings = data.headings.map((h, i) => {
+    if (!(h.size > 0)) fail(`headings[${i}].size should be a size in points`);
+    return {
+      size: h.size,
+      color: color(h.color, `headings[${i}].color`),
+      bold: Boolean(h.bold),
+      spaceBefore: length(h.spaceBefore, `headings[${i}].spaceBefore`),
+      spaceAfter: length(h.spaceAfter, `headings[${i}].spaceAfter`),
+    };
+  });
+
+  const callouts = {};
+  for (const kind of ["tip", "warning"]) {
+    callouts[kind] = {
+      background: color(data.callouts?.[kind]?.background, `callouts.${kind}.background`),
+      border: color(data.callouts?.[kind]?.border, `callouts.${kind}.border`),
+    };
+  }
+
+  const card = data.quickReference ?? {};
+  if (!(card.fontSize > 0)) fail("quickReference.fontSize should be a size in points");
+  const quickReference = {
+    margins: length(card.margins, "quickReference.margins"),
+    columnGap: length(card.columnGap, "quickReference.columnGap"),
+    fontSize: card.fontSize,
+  };
+  if (2 * quickReference.margins + quickReference.columnGap >= width / 2) {
+    fail("the quick reference margins and column gap leave less than half the page for text");
+  }
+
+  return {
+    file,
+    name: data.name ?? path.basename(file, ".json"),
+    page: { width, height, margins },
+    fonts: { body: fonts.body, code: fonts.code, size: fonts.size },
+    headings,
+    colors,
+    callouts,
+    screenshots: { maxHeight: length(data.screenshots?.maxHeight, "screenshots.maxHeight") },
+    quickReference,
+    header: data.header ?? "",
+    footer: data.footer ?? "",
+  };
+}
+
+module.exports = { loadTheme };
@@ -0,0 +1,140 @@
+// guide/zip.js — Reading and writing zip archives
+//
+// A .docx is a zip of XML parts. The docx package stamps every entry with the
+// time it was built, so guide/docx-package.js unpacks its output with readZip()
+// and packs it again with writeZip() and a fixed time; guide/epub.js packs
+// the EPUB with it. Only what Office and EPUB files use is supported: stored
+// or deflated entries, no zip64, no encryption.
+
+const zlib = require("zlib");
+
+// CRC-32 lookup table (the polynomial zip and PNG share)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/** CRC-32 of a buffer. */
+function crc32(data) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of data) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+const LOCAL_HEADER = 0x04034B50;
+const CENTRAL_HEADER = 0x02014B50;
+const END_OF_DIRECTORY = 0x06054B50;
+const STORED = 0;
+const DEFLATED = 8;
+// General-purpose flag: the name is UTF-8
+const UTF8_NAME = 0x0800;
+
+/**
+ * The entries of a zip archive, in order.
+ *
+ * @returns {{name: string, data: Buffer}[]} Names as stored (folders end in "/"), data uncompressed.
+ */
+function readZip(buffer) {
+  // The end-of-directory record is last, followed by a comment of up to 64 KB
+  let end = -1;
+  for (let at = buffer.length - 22; at >= Math.max(0, buffer.length - 22 - 0xFFFF); at--) {
+    if (buffer.readUInt32LE(at) === END_OF_DIRECTORY) {
+      end = at;
+      break;
+    }
+  }
+  if (end === -1) throw new Error("not a zip archive");
+
+  const entries = [];
+  let at = buffer.readUInt32LE(end + 16);
+  for (let n = buffer.readUInt16LE(end + 10); n > 0; n--) {
+    if (buffer.readUInt32LE(at) !== CENTRAL_HEADER) throw new Error("damaged zip directory");
+    const method = buffer.readUInt16LE(at + 10);
+    const compressedSize = buffer.readUInt32LE(at + 20);
+    const nameLength = buffer.readUInt16LE(at + 28);
+    const name = buffer.toString("utf8", at + 46, at + 46 + nameLength);
+    // Sizes come from the directory; the local header may leave them to a data descriptor
+    const local = buffer.readUInt32LE(at + 42);
+    const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+    const raw = buffer.subarray(start, start + compressedSize);
+    if (method !== STORED && method !== DEFLATED) throw new Error(`${name}: unsupported zip compression method ${method}`);
+    entries.push({ name, data: method === DEFLATED ? zlib.inflateRawSync(raw) : Buffer.from(raw) });
+    at += 46 + nameLength + buffer.readUInt16LE(at + 30) + buffer.readUInt16LE(at + 32);
+  }
+  return entries;
+}
+
+/** MS-DOS time and date fields for `date` (UTC; zip can't record earlier than 1980). */
+function dosDateTime(date) {
+  const year = Math.max(1980, date.getUTCFullYear());
+  return {
+    time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | (date.getUTCSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate(),
+  };
+}
+
+/**
+ * Pack entries into a zip archive. Every entry gets the same modification
+ * time, and compression is deterministic, so the same entries and date
+ * always give the same bytes.
+ *
+ * @param {{name: string, data: Buffer, stored?: boolean}[]} entries - As returned by readZip(); `stored` leaves an entry uncompressed.
+ * @param {Date} date - Modification time for every entry.
+ */
+function writeZip(entries, date) {
+  const stamp = dosDateTime(date);
+  const locals = [];
+  const directory = [];
+  let offset = 0;
+  for (const { name, data, stored } of entries) {
+    const nameBytes = Buffer.from(name, "utf8");
+    const folder = name.endsWith("/");
+    const method = folder || stored || data.length === 0 ? STORED : DEFLATED;
+    const body = method === DEFLATED ? zlib.deflateRawSync(data, { level: 9 }) : data;
+    const flags = /[^\x20-\x7E]/.test(name) ? UTF8_NAME : 0;
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(flags, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(stamp.time, 10);
+    local.writeUInt16LE(stamp.date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, body);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(flags, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(stamp.time, 12);
+    central.writeUInt16LE(stamp.date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(folder ? 0x10 : 0, 38);
+    central.writeUInt32LE(offset, 42);
+    directory.push(central, nameBytes);
+
+    offset += 30 + nameBytes.length + body.length;
+  }
+
+  const directorySize = directory.reduce((sum, b) => sum + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_DIRECTORY, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directorySize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...directory, end]);
+}
+
+module.exports = { readZip, writeZip, crc32 };
@@ -24,6 +24,13 @@
 #   - Developer ID certificate in Keychain
 #   - Notarytool keychain profile stored as "HushType"
 #     (xcrun notarytool store-credentials "HushType" ...)
+#   - Node 20+ with the User Guide packages installed (npm install: docx 9.8.1
+#     and pdfkit 0.20.2, pinned in package.json)
+#
+# Release notes: write docs/release-notes/<version>.md before releasing. It is
+# used for the GitHub Release and the User Guide's Release History chapter.
+# The GitHub Release also lists what changed in the User Guide since the last
+# release (HushType-User-Guide.changes.md, from create-guide.js --diff).
 
 set -e
 
@@ -61,6 +68,16 @@ if [ -n "$DIRTY_FILES" ]; then
     echo ""
 fi
 
+# Pre-flight: the User Guide must still match its snapshot (npm test). If a
+# change to the guide is intended, run 'node create-guide.js --snapshot update'
+# and commit the snapshot with it before releasing.
+if [ -f "$SCRIPT_DIR/create-guide.js" ] && command -v node >/dev/null 2>&1; then
+    if ! (cd "$SCRIPT_DIR" && npm test >/dev/null 2>&1); then
+        echo "ERROR: the User Guide tests failed. Run 'npm test' to see why."
+        exit 1
+    fi
+fi
+
 # Step 1: Update version in Info.plist and User Guide
 echo "=== Step 1: Updating version to $VERSION ==="
 INFO_PLIST="$SCRIPT_DIR/Sources/HushType/Resources/Info.plist"
@@ -75,36 +92,30 @@ GUIDE_SCRIPT="$SCRIPT_DIR/create-guide.js"
 GUIDE_DOCX="$SCRIPT_DIR/HushType-User-Guide.docx"
 GUIDE_PDF="$SCRIPT_DIR/HushType-User-Guide.pdf"
 if [ -f "$GUIDE_SCRIPT" ] && command -v node >/dev/null 2>&1; then
-    # Replace the version string in create-guide.js (matches: "Version X.Y" or "Version X.Y.Z")
-    sed -i '' "s/\"Version [0-9][0-9.]*\"/\"Version $VERSION\"/" "$GUIDE_SCRIPT"
-    echo "  User Guide version updated to $VERSION"
-    (cd "$SCRIPT_DIR" && node create-guide.js)
-    echo "  Regenerated HushType-User-Guide.docx"
-
-    # Convert the docx to PDF for DMG inclusion
-    # On macOS, LibreOffice lives inside /Applications and isn't on the PATH
-    SOFFICE=""
-    if command -v soffice >/dev/null 2>&1; then
-        SOFFICE="soffice"
-    elif [ -x "/Applications/LibreOffice.app/Contents/MacOS/soffice" ]; then
-        SOFFICE="/Applications/LibreOffice.app/Contents/MacOS/soffice"
-    fi
+    # create-guide.js writes the docx, the PDF (no LibreOffice needed), the
+    # docs/guide/ web page for GitHub Pages and the HushType.help book that
+    # build-app.sh puts in the app. The creation date defaults to today.
+    # --strict stops the release while any screenshot is still a placeholder.
+    (cd "$SCRIPT_DIR" && node create-guide.js --format docx,pdf,html,help --version "$VERSION" --strict)
+    echo "  Regenerated HushType-User-Guide.docx/.pdf, HushType-Quick-Reference.docx/.pdf, docs/guide/ and HushType.help"
 
-    if [ -n "$SOFFICE" ]; then
-        echo "  Converting User Guide to PDF (LibreOffice: $SOFFICE)..."
-        "$SOFFICE" --headless --convert-to pdf --outdir "$SCRIPT_DIR" "$GUIDE_DOCX" 2>&1 | sed 's/^/    /'
-    elif command -v pandoc >/dev/null 2>&1; then
-        echo "  Converting User Guide to PDF (pandoc)..."
-        pandoc "$GUIDE_DOCX" -o "$GUIDE_PDF" 2>&1 | sed 's/^/    /'
+    # HEAD still has the last release's docx; report what changed since then.
+    # A report left over from an earlier run must not reach the release notes.
+    GUIDE_CHANGES="$SCRIPT_DIR/HushType-User-Guide.changes.md"
+    rm -f "$GUIDE_CHANGES"
+    if DIFF_OUTPUT=$(cd "$SCRIPT_DIR" && node create-guide.js --diff HEAD --version "$VERSION"); then
+        echo "${DIFF_OUTPUT##*$'\n'}"
+    else
+        GUIDE_CHANGES=""
+        echo "  WARNING: could not compare the User Guide with the last release."
     fi
 
     # Verify the PDF was created
     if [ -f "$GUIDE_PDF" ]; then
         echo "  User Guide PDF created successfully"
     else
-        echo "  WARNING: PDF conversion failed. The DMG will include the .docx version."
-        echo "  To fix: ensure LibreOffice is installed and not running, then retry."
-        echo "  Manual conversion: /Applications/LibreOffice.app/Contents/MacOS/soffice --headless --convert-to pdf --outdir . HushType-User-Guide.docx"
+        echo "  WARNING: PDF generation failed. The DMG will include the .docx version."
+        echo "  To fix: check the output of 'node create-guide.js' (run 'npm install' for pdfkit 0.20.2)."
     fi
 elif [ -f "$GUIDE_SCRIPT" ]; then
     echo "  WARNING: node not found — skipping User Guide regeneration."
@@ -216,9 +227,29 @@ fi
 # Step 8: Create GitHub Release
 echo ""
 echo "=== Step 8: Creating GitHub Release ==="
-gh release create "v$VERSION" \
-    --title "$APP_NAME $VERSION" \
-    --generate-notes
+# Use the same notes as the guide's Release History chapter when they exist,
+# followed by the User Guide changes from Step 1
+RELEASE_NOTES="$SCRIPT_DIR/docs/release-notes/$VERSION.md"
+NOTES_FILE=$(mktemp)
+if [ -f "$RELEASE_NOTES" ]; then
+    cat "$RELEASE_NOTES" > "$NOTES_FILE"
+fi
+if [ -n "$GUIDE_CHANGES" ] && [ -f "$GUIDE_CHANGES" ]; then
+    [ -s "$NOTES_FILE" ] && echo "" >> "$NOTES_FILE"
+    cat "$GUIDE_CHANGES" >> "$NOTES_FILE"
+fi
+if [ -f "$RELEASE_NOTES" ]; then
+    gh release create "v$VERSION" \
+        --title "$APP_NAME $VERSION" \
+        --notes-file "$NOTES_FILE"
+else
+    # GitHub appends its generated notes after the guide changes
+    gh release create "v$VERSION" \
+        --title "$APP_NAME $VERSION" \
+        --notes-file "$NOTES_FILE" \
+        --generate-notes
+fi
+rm -f "$NOTES_FILE"
 
 # Upload assets with progress bars via curl (gh doesn't show progress)
 GH_TOKEN=$(gh auth token)
@@ -244,7 +275,7 @@ echo ""
 echo "=== Step 9: Committing changes ==="
 cd "$SCRIPT_DIR"
 git add docs/appcast.xml Sources/HushType/Resources/Info.plist
-git add create-guide.js HushType-User-Guide.docx HushType-User-Guide.pdf 2>/dev/null || true
+git add HushType-User-Guide.docx HushType-User-Guide.pdf HushType-Quick-Reference.docx HushType-Quick-Reference.pdf docs/guide 2>/dev/null || true
 git add CLAUDE.md 2>/dev/null || true
 git commit -m "Release $VERSION"
 git push origin main
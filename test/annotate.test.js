@@ -0,0 +1,54 @@
+// test/annotate.test.js — Annotations land in the same place at any pixel density
+//
+// Coordinates are points, so the same annotation drawn on a standard capture
+// and on a Retina (@2x) capture of the same window covers the same part of it.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { annotatePng } = require("../guide/annotate");
+const { decodePng, encodePng } = require("../guide/images");
+
+const COLOR = "E5483D";
+
+/** A white PNG `width` × `height` pixels. */
+function blankPng(width, height) {
+  return encodePng({ width, height, pixels: Buffer.alloc(width * height * 4, 255) });
+}
+
+/** Whether the pixel at (x, y) has been painted in COLOR. */
+function painted(png, x, y) {
+  const { width, pixels } = decodePng(png);
+  const at = (y * width + x) * 4;
+  return pixels[at] === 0xE5 && pixels[at + 1] === 0x48 && pixels[at + 2] === 0x3D;
+}
+
+for (const scale of [1, 2]) {
+  test(`annotations at ${scale} pixel${scale > 1 ? "s" : ""} per point`, async (t) => {
+    const blank = blankPng(100 * scale, 80 * scale);
+    const draw = (annotation) => annotatePng(blank, [annotation], { color: COLOR, scale, file: "test.png" });
+
+    await t.test("a marker is centred on its point", () => {
+      const png = draw({ type: "marker", number: 1, x: 30, y: 40 });
+      // Left of the digit, inside the circle
+      assert.ok(painted(png, 25 * scale, 40 * scale));
+      assert.ok(!painted(png, 50 * scale, 40 * scale));
+    });
+
+    await t.test("an arrow runs between its points", () => {
+      const png = draw({ type: "arrow", from: [10, 60], to: [90, 60] });
+      assert.ok(painted(png, 50 * scale, 60 * scale));
+      assert.ok(!painted(png, 50 * scale, 30 * scale));
+    });
+
+    await t.test("a highlight outlines its rectangle", () => {
+      const png = draw({ type: "highlight", x: 20, y: 10, width: 60, height: 40 });
+      assert.ok(painted(png, 20 * scale, 30 * scale));
+      assert.ok(painted(png, 80 * scale, 30 * scale));
+      assert.ok(!painted(png, 90 * scale, 30 * scale));
+    });
+
+    await t.test("an annotation outside the image is an error", () => {
+      assert.throws(() => draw({ type: "marker", number: 1, x: 101, y: 40 }), /outside the 100×80-point image/);
+    });
+  });
+}
@@ -0,0 +1,48 @@
+// test/docx-snapshot.test.js — The Word document against guide/snapshots/
+//
+// Builds the snapshot edition (SNAPSHOT_BUILD in guide/docx-package.js),
+// unzips its .docx and compares the normalised document.xml, numbering.xml
+// and media list with the stored snapshot. When a change to the guide is
+// intended, `node create-guide.js --snapshot update` rewrites the snapshot
+// and the diff goes into review with it.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { buildGuide } = require("../guide/build");
+const { readZip } = require("../guide/zip");
+const { docxSnapshot, compareSnapshot, SNAPSHOT_DIR, SNAPSHOT_BUILD } = require("../guide/docx-package");
+
+/** A failed comparison as the lines that changed, like `--snapshot check` prints them. */
+function describe(difference) {
+  if (difference.line === 0) return `${difference.file} is missing`;
+  return [
+    `${difference.file}:${difference.line} changed:`,
+    ...difference.expected.slice(0, 20).map((line) => `  - ${line}`),
+    ...difference.actual.slice(0, 20).map((line) => `  + ${line}`),
+    "If the change is intended, run: node create-guide.js --snapshot update",
+  ].join("\n");
+}
+
+test("the Word document", async (t) => {
+  const docx = await buildGuide(SNAPSHOT_BUILD).docx();
+  const snapshot = docxSnapshot(docx);
+
+  for (const name of Object.keys(snapshot)) {
+    await t.test(`matches guide/snapshots/${name}`, () => {
+      const [difference] = compareSnapshot(SNAPSHOT_DIR, { [name]: snapshot[name] });
+      if (difference) assert.fail(describe(difference));
+    });
+  }
+
+  await t.test("is the same bytes when built again", async () => {
+    const again = await buildGuide(SNAPSHOT_BUILD).docx();
+    assert.ok(again.equals(docx), "two builds of the same guide differ");
+  });
+
+  await t.test("has no build time in it", () => {
+    const core = readZip(docx).find((entry) => entry.name === "docProps/core.xml").data.toString("utf8");
+    for (const element of ["created", "modified"]) {
+      assert.match(core, new RegExp(`<dcterms:${element}\\b[^>]*>2026-01-01T00:00:00Z<`));
+    }
+  });
+});
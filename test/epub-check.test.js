@@ -0,0 +1,77 @@
+// test/epub-check.test.js — checkEpub() on the guide's book and broken copies
+//
+// The guide's EPUB has to pass the check; copies of it with one thing broken
+// at a time have to fail it, with a problem that names what is wrong.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { buildGuide } = require("../guide/build");
+const { readZip, writeZip } = require("../guide/zip");
+const { checkEpub } = require("../guide/epub");
+const { SNAPSHOT_BUILD } = require("../guide/docx-package");
+
+/** Repack `book` after `change(entries)` has edited its unzipped entries. */
+function broken(book, change) {
+  const entries = readZip(book).map((entry) => ({ ...entry, stored: entry.name === "mimetype" }));
+  change(entries);
+  return writeZip(entries, SNAPSHOT_BUILD.date);
+}
+
+/** Replace `from` with `to` in the text of the entry `name`, which must contain it. */
+function edit(entries, name, from, to) {
+  const entry = entries.find((e) => e.name === name);
+  const text = entry.data.toString("utf8");
+  assert.ok(from.test ? from.test(text) : text.includes(from), `${name} has nothing to change`);
+  entry.data = Buffer.from(text.replace(from, to), "utf8");
+}
+
+/** Assert that checkEpub() finds a problem matching `expected`. */
+function rejects(book, expected) {
+  const problems = checkEpub(book);
+  assert.ok(problems.some((problem) => expected.test(problem)), `expected a problem matching ${expected}, got:\n  ${problems.join("\n  ") || "(none)"}`);
+}
+
+test("checkEpub", async (t) => {
+  const book = await buildGuide(SNAPSHOT_BUILD).epub();
+
+  await t.test("passes the guide's book", () => {
+    assert.deepStrictEqual(checkEpub(book), []);
+  });
+
+  await t.test("passes the book after repacking it unchanged", () => {
+    assert.deepStrictEqual(checkEpub(broken(book, () => {})), []);
+  });
+
+  await t.test("rejects a compressed mimetype", () => {
+    rejects(broken(book, (entries) => { entries[0].stored = false; }), /^mimetype is compressed$/);
+  });
+
+  await t.test("rejects a mimetype that is not the first entry", () => {
+    rejects(broken(book, (entries) => entries.push(entries.shift())), /^mimetype is not the first entry$/);
+  });
+
+  await t.test("rejects a file the manifest leaves out", () => {
+    const bad = broken(book, (entries) => edit(entries, "EPUB/package.opf", /\s*<item id="style"[^>]*\/>/, ""));
+    rejects(bad, /^EPUB\/style\.css is not in the manifest$/);
+  });
+
+  await t.test("rejects a manifest item that is not in the book", () => {
+    const bad = broken(book, (entries) => entries.splice(entries.findIndex((e) => e.name === "EPUB/images/logo.png"), 1));
+    rejects(bad, /manifest lists EPUB\/images\/logo\.png, which is not in the book$/);
+  });
+
+  await t.test("rejects a link to an id that does not exist", () => {
+    const bad = broken(book, (entries) => edit(entries, "EPUB/text/what-is-hushtype.xhtml", "#glossary-trigger-key\"", "#glossary-no-such-term\""));
+    rejects(bad, /^EPUB\/text\/what-is-hushtype\.xhtml: glossary\.xhtml#glossary-no-such-term leads to no id "glossary-no-such-term"$/);
+  });
+
+  await t.test("rejects an image without alt text", () => {
+    const bad = broken(book, (entries) => edit(entries, "EPUB/title.xhtml", /(<img\b[^>]*?)\s+alt="[^"]*"/, "$1"));
+    rejects(bad, /^EPUB\/title\.xhtml: image images\/logo\.png has no alt text$/);
+  });
+
+  await t.test("rejects XHTML that is not well-formed", () => {
+    const bad = broken(book, (entries) => edit(entries, "EPUB/text/requirements.xhtml", "</section>", ""));
+    rejects(bad, /^EPUB\/text\/requirements\.xhtml: .*(closes|never closed)/);
+  });
+});
@@ -0,0 +1,27 @@
+// test/glossary.test.js — Index terms as an edition spells them
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { linkTerms } = require("../guide/glossary");
+
+const glossary = { file: "guide/glossary.json", terms: [{ term: "Sparkle", definition: "The update framework.", id: "glossary-sparkle" }] };
+const where = (block) => `guide.md:${block.line}`;
+const blocks = [{ type: "paragraph", text: "Updates use ((Sparkle)), and ((it|Sparkle)) checks daily.", line: 1 }];
+
+/** linkTerms() for an edition that translates "Sparkle" as `translation`. */
+const link = (translation) => linkTerms(blocks, glossary, {
+  t: (text) => (text === "Sparkle" ? translation : text), where, catalogFile: "guide/locales/xx.json",
+});
+
+test("markers carry the term as the edition spells it, and the first links to its entry", () => {
+  assert.strictEqual(link("Funke").blocks[0].text, "Updates use ((Sparkle|Funke|glossary-sparkle)), and ((it|Funke)) checks daily.");
+});
+
+for (const [what, translation] of [["a quote", "Sparkle \"Update\""], ["a colon", "Sparkle: Updates"]]) {
+  test(`a translated term with ${what} stops the build, naming the catalog`, () => {
+    assert.throws(
+      () => link(translation),
+      (err) => err.message.startsWith(`guide/locales/xx.json: the translation of the term "Sparkle", "${translation}", can't contain`)
+    );
+  });
+}
@@ -0,0 +1,26 @@
+// test/links.test.js — Heading ids and cross-references
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { linkGuide } = require("../guide/links");
+
+const where = (block) => `guide.md:${block.line}`;
+const heading = (text, line) => ({ type: "heading", level: 2, text, line });
+
+test("a repeated heading's id doesn't take another heading's slug", () => {
+  const blocks = linkGuide([
+    heading("Step", 1),
+    heading("Step", 2),
+    heading("Step 2", 3),
+    { type: "paragraph", text: "See [[Step 2]].", line: 4 },
+  ], where);
+  assert.deepStrictEqual(blocks.slice(0, 3).map((block) => block.id), ["step", "step-3", "step-2"]);
+  assert.strictEqual(blocks[3].text, "See [[step-2|Step 2]].");
+});
+
+test("a reference to a repeated heading is ambiguous", () => {
+  assert.throws(
+    () => linkGuide([heading("Step", 1), heading("Step", 2), { type: "paragraph", text: "See [[Step]].", line: 3 }], where),
+    /^Error: guide\.md:3: cross-reference \[\[Step\]\] matches more than one heading$/
+  );
+});
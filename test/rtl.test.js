@@ -0,0 +1,73 @@
+// test/rtl.test.js — A right-to-left edition, from the Hebrew fixture catalog
+//
+// test/fixtures/locales/he.json translates the interface text and a few
+// headings, enough to build a right-to-left edition of every format and check
+// that its text is marked right to left.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const { buildGuide } = require("../guide/build");
+const { loadCatalog } = require("../guide/i18n");
+const { readZip } = require("../guide/zip");
+const { visualOrder } = require("../guide/pdf");
+const { SNAPSHOT_BUILD } = require("../guide/docx-package");
+
+const FIXTURE_LOCALES = path.join(__dirname, "fixtures", "locales");
+
+/** The Hebrew edition, built like the snapshot. */
+function hebrewGuide() {
+  return buildGuide({ ...SNAPSHOT_BUILD, locale: "he", catalog: loadCatalog(FIXTURE_LOCALES, "he") });
+}
+
+test("the catalog's language is written right to left", () => {
+  assert.strictEqual(loadCatalog(FIXTURE_LOCALES, "he").direction, "rtl");
+});
+
+test("the right-to-left Word document", async (t) => {
+  const files = new Map(readZip(await hebrewGuide().docx()).map((entry) => [entry.name, entry.data.toString("utf8")]));
+  const document = files.get("word/document.xml");
+
+  await t.test("makes paragraphs right to left by default", () => {
+    assert.match(files.get("word/styles.xml"), /<w:pPrDefault><w:pPr><w:bidi\/>/);
+    assert.match(files.get("word/styles.xml"), /<w:lang w:val="he" w:bidi="he"\/>/);
+  });
+
+  await t.test("marks every text run right to left", () => {
+    const runs = document.match(/<w:r>.*?<\/w:r>/g).filter((run) => run.includes("<w:t"));
+    const ltr = runs.filter((run) => !run.includes("<w:rtl/>"));
+    assert.strictEqual(ltr.length, 0, `${ltr.length} runs are not marked <w:rtl/>, such as:\n${ltr.slice(0, 3).join("\n")}`);
+  });
+
+  await t.test("has the translated text", () => {
+    assert.match(document, /מה זה HushType\?/);
+  });
+});
+
+test("the right-to-left PDF", async (t) => {
+  const guide = hebrewGuide();
+  if (guide.pdfFontProblems().length) {
+    // Without Arial there is nothing to draw Hebrew with, and the build says so
+    await assert.rejects(async () => guide.pdf(), /right-to-left PDFs need the Arial TrueType fonts installed/);
+    t.skip("Arial is not installed, so only the missing-font error is checked");
+    return;
+  }
+  const pdf = await guide.pdf();
+  assert.strictEqual(pdf.toString("latin1", 0, 5), "%PDF-");
+});
+
+test("visualOrder", async (t) => {
+  const order = (...texts) => visualOrder(texts.map((text) => ({ text }))).map((fragment) => fragment.text).join("|");
+
+  await t.test("reverses right-to-left words", () => {
+    assert.strictEqual(order("מה", " ", "זה"), "זה| |מה");
+  });
+
+  await t.test("keeps a stretch of left-to-right words in its own order", () => {
+    assert.strictEqual(order("התקנת", " ", "HushType", " ", "1.5", " ", "עכשיו"), "עכשיו| |HushType| |1.5| |התקנת");
+  });
+
+  await t.test("leaves punctuation after a left-to-right stretch outside it", () => {
+    assert.strictEqual(order("מה", " ", "זה", " ", "HushType", "?"), "?|HushType| |זה| |מה");
+  });
+});